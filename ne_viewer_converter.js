@@ -0,0 +1,907 @@
+const { JSDOM } = require('jsdom');
+
+// ne-viewer（语雀 lake 风格）HTML -> Markdown 转换器
+// 不依赖爬虫实例，可单独用于其他来源的 ne-viewer HTML
+const DEFAULT_OPTIONS = {
+    selector: null,                        // 正文容器选择器（如 .ne-viewer-body），未匹配时转换整个 body
+    escapeHtml: true,                      // 转义正文中的尖括号，避免被当作 HTML 标签
+    imageAlt: '图片',                      // 图片缺少 alt 时的默认文字
+    languageAliases: { shell: 'bash' },    // 代码块语言别名
+    calloutTypes: {                        // 高亮块类型 -> GitHub 风格提示（> [!NOTE] 等），未列出的类型按 NOTE 处理
+        info: 'NOTE', note: 'NOTE', tips: 'TIP', tip: 'TIP', success: 'TIP',
+        important: 'IMPORTANT', warning: 'WARNING', warn: 'WARNING',
+        danger: 'CAUTION', error: 'CAUTION', caution: 'CAUTION'
+    },
+    logger: console,                       // 解析失败等提示的输出对象（需提供 log 方法）
+    cardHandlers: {}                       // 自定义卡片处理器（data-card-name -> 函数），覆盖或补充内置处理器
+};
+
+class NeViewerConverter {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            languageAliases: { ...DEFAULT_OPTIONS.languageAliases, ...(options.languageAliases || {}) },
+            calloutTypes: { ...DEFAULT_OPTIONS.calloutTypes, ...(options.calloutTypes || {}) }
+        };
+        // 卡片处理器注册表：按 data-card-name 分派，处理器返回 Markdown；返回 null 时按通用卡片处理
+        this.cardHandlers = {};
+        const builtin = {
+            codeblock: (node, card) => this.extractCodeFromCard(node.innerHTML, card.attributes),
+            image: (node, card) => this.convertImageCard(node, card),
+            math: (node, card) => this.convertMathCard(node, card),
+            mermaid: (node, card) => this.convertDiagramCard(node, card, 'mermaid'),
+            plantuml: (node, card) => this.convertDiagramCard(node, card, 'plantuml'),
+            diagram: (node, card) => this.convertDiagramCard(node, card, 'plantuml'),
+            board: (node, card) => this.convertDiagramCard(node, card, ''),
+            video: (node, card) => this.convertVideoCard(node, card),
+            bookmark: (node, card) => this.convertBookmarkCard(node, card),
+            bookmarklink: (node, card) => this.convertBookmarkCard(node, card),
+            bookmarkInline: (node, card) => this.convertBookmarkCard(node, card),
+            yuqueinlinecard: (node, card) => this.convertBookmarkCard(node, card),
+            hr: () => '\n\n---\n\n'
+        };
+        for (const [name, handler] of Object.entries({ ...builtin, ...this.options.cardHandlers })) {
+            this.registerCardHandler(name, handler);
+        }
+    }
+
+    // handler(node, card)：card 含 name、inline（行内卡片）、attributes、value（解码后的卡片数据）、context、converter
+    registerCardHandler(name, handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError(`卡片处理器必须是函数: ${name}`);
+        }
+        this.cardHandlers[name] = handler;
+        return this;
+    }
+
+    log(...args) {
+        const logger = this.options.logger;
+        if (logger && typeof logger.log === 'function') logger.log(...args);
+    }
+
+    normalizeLanguage(language) {
+        if (!language) return '';
+        return this.options.languageAliases[language] || language;
+    }
+
+    convert(html) {
+        try {
+            // 创建DOM实例进行解析
+            const dom = new JSDOM(`<!DOCTYPE html><html><body>${html || ''}</body></html>`);
+            const document = dom.window.document;
+            // 传入完整页面时，只转换正文容器
+            const root = (this.options.selector && document.querySelector(this.options.selector)) || document.body;
+            
+            // 递归转换DOM节点为Markdown（列表编号状态在整篇文章内共享）
+            const markdown = this.convertDomNodeToMarkdown(root, { listState: this.createListState() });
+            
+            // 标准化空白和换行
+            return markdown
+        } catch (error) {
+            this.log('HTML解析失败，使用备用方法:', error.message);
+            // 如果DOM解析失败，回退到简单的文本清理
+            return this.cleanHtmlTags(html);
+        }
+    }
+
+    convertDomNodeToMarkdown(node, context = {}) {
+        if (!node) return '';
+        
+        // 文本节点
+        if (node.nodeType === 3) { // TEXT_NODE
+            return this.escapeMarkdown(node.textContent);
+        }
+        
+        // 元素节点
+        if (node.nodeType === 1) { // ELEMENT_NODE
+            const tagName = node.tagName.toLowerCase();
+            const attributes = this.getElementAttributes(node);
+
+            // === 关键改动：对需要“原始HTML”的节点直接短路 ===
+            if (tagName === 'ne-card') {
+                // 卡片交给注册的处理器，直接读取原始子树，避免递归后结构丢失
+                const markdown = this.convertCard(node, attributes, context);
+                if (markdown !== null && markdown !== undefined) return markdown;
+            }
+            if (tagName === 'ne-table' || tagName === 'table') {
+                // 将原始HTML交给表格转换器
+                return `\n${this.convertTableToMarkdown(node.innerHTML)}\n\n`;
+            }
+            if (tagName === 'ne-code') {
+                // inline code: 使用原始文本内容，避免转义，再安全地用反引号包裹
+                const raw = (node.textContent || '').replace(/\n+/g, ' ');
+                const runs = raw.match(/`+/g);
+                let fenceLen = 1;
+                if (runs && runs.length) {
+                    fenceLen = Math.max(...runs.map(s => s.length)) + 1;
+                }
+                const fence = '`'.repeat(fenceLen);
+                const needsPadding = raw.startsWith('`') || raw.endsWith('`') || raw.startsWith(' ') || raw.endsWith(' ');
+                return needsPadding ? `${fence} ${raw} ${fence}` : `${fence}${raw}${fence}`;
+            }
+
+            if (this.isListItemNode(node)) {
+                return this.convertListItem(node, context);
+            }
+            if (/^(ne-)?h[1-6]$/.test(tagName) && context.listState) {
+                // 新章节的列表重新编号（仅在列表项没有显示编号时生效）
+                this.resetListState(context.listState, 0);
+            }
+
+            let content = '';
+            
+            // 为子节点创建新的上下文
+            const childContext = { ...context };
+            const isListContainer = tagName === 'ne-ol' || tagName === 'ol' || tagName === 'ne-ul' || tagName === 'ul';
+            if (isListContainer) {
+                // 列表容器：开始一个新列表，start / ne-start 指定起始编号
+                const ordered = tagName === 'ne-ol' || tagName === 'ol';
+                const level = this.getListLevel(node, context);
+                const state = context.listState || (childContext.listState = this.createListState());
+                childContext.parentListType = ordered ? 'ordered' : 'unordered';
+                childContext.listLevel = level;
+                this.resetListState(state, level);
+                if (ordered) {
+                    const start = parseInt(attributes['ne-start'] || attributes['start'], 10);
+                    state.counters[level] = Number.isFinite(start) ? start - 1 : 0;
+                    state.types[level] = 'ordered';
+                }
+            }
+            
+            // 递归处理子节点
+            for (let child of node.childNodes) {
+                // 相邻列表项之间的排版空白不输出，保持紧凑列表
+                if (child.nodeType === 3 && !child.textContent.trim() &&
+                    this.isListItemNode(child.previousElementSibling) && this.isListItemNode(child.nextElementSibling)) {
+                    continue;
+                }
+                content += this.convertDomNodeToMarkdown(child, childContext);
+            }
+            if (isListContainer) {
+                // 容器列表已结束，其后的平铺列表项不再沿用它的编号
+                this.resetListState(childContext.listState, childContext.listLevel);
+            }
+            
+            return this.convertElementToMarkdown(tagName, attributes, content, context);
+        }
+        
+        return '';
+    }
+
+    // ============ 列表 ============
+    // ne-viewer 的列表项通常是平铺的兄弟节点，层级由 ne-level 表示，编号由 ne-oli-i 中的符号显示；
+    // 标准 HTML 列表则通过 ul/ol 嵌套表示层级，两种形式都转换为按层级缩进的 Markdown 列表
+    createListState() {
+        return { counters: [], types: [], widths: [] };
+    }
+
+    resetListState(state, level) {
+        state.counters.length = Math.min(state.counters.length, level);
+        state.types.length = Math.min(state.types.length, level);
+        state.widths.length = Math.min(state.widths.length, level);
+    }
+
+    isListItemNode(node) {
+        if (!node || node.nodeType !== 1) return false;
+        return ['ne-oli', 'ne-uli', 'ne-tli', 'ne-li', 'li'].includes(node.tagName.toLowerCase());
+    }
+
+    // 列表符号容器：ne-oli-i / ne-uli-i / ne-tli-i 或 .ne-list-symbol
+    getListSymbolElement(node) {
+        for (const child of node.children) {
+            const tag = child.tagName.toLowerCase();
+            if (/^ne-[a-z]*li-i$/.test(tag) || (child.classList && child.classList.contains('ne-list-symbol'))) {
+                return child;
+            }
+        }
+        return null;
+    }
+
+    getListLevel(node, context = {}) {
+        const symbol = node.querySelector ? node.querySelector(':scope > [class~="ne-list-symbol"], :scope > * > [ne-level]') : null;
+        const raw = node.getAttribute('ne-level') ?? node.getAttribute('data-level') ?? (symbol && symbol.getAttribute('ne-level'));
+        const level = parseInt(raw, 10);
+        if (Number.isFinite(level) && level >= 0) return level;
+        return context.listLevel || 0;
+    }
+
+    isTaskChecked(node) {
+        const flag = node.getAttribute('ne-checked') ?? node.getAttribute('data-checked') ?? node.getAttribute('checked');
+        if (flag !== null) return flag !== 'false';
+        const input = node.querySelector('input[type="checkbox"]');
+        if (input) return input.checked || input.hasAttribute('checked');
+        return !!node.querySelector('.ne-checkbox-checked, [aria-checked="true"], [ne-checked="true"]');
+    }
+
+    convertListItem(node, context = {}) {
+        const tagName = node.tagName.toLowerCase();
+        const state = context.listState || (context.listState = this.createListState());
+        const level = this.getListLevel(node, context);
+        const symbolElement = this.getListSymbolElement(node);
+        const symbol = symbolElement ? (symbolElement.textContent || '').replace(/[\s\u200B.、)）]/g, '') : '';
+        const checkbox = tagName === 'li' || tagName === 'ne-li'
+            ? node.querySelector(':scope > input[type="checkbox"], :scope > * > input[type="checkbox"]')
+            : null;
+
+        // 列表类型：ne-tli 为任务项，ne-uli 为无序；ne-oli 与 ne-li 视符号与所在容器而定
+        let type;
+        if (tagName === 'ne-tli' || checkbox) type = 'task';
+        else if (tagName === 'ne-uli') type = 'unordered';
+        else if (symbol && /^[•●○◦■□▪▫◆◇·\-*+]+$/.test(symbol)) type = 'unordered';
+        else if (tagName === 'ne-oli') type = 'ordered';
+        else type = context.parentListType === 'ordered' ? 'ordered' : 'unordered';
+
+        // 更深层的编号在新的父项下重新开始；同一层级换了列表类型也重新开始
+        this.resetListState(state, level + 1);
+        if (state.types[level] !== type) state.counters[level] = 0;
+        state.types[level] = type;
+
+        let marker;
+        if (type === 'ordered') {
+            // 优先使用页面显示的阿拉伯数字编号，其次是 value / ne-start 属性，否则延续同层级的计数
+            const explicit = /^\d+$/.test(symbol) ? parseInt(symbol, 10)
+                : parseInt(node.getAttribute('value') || node.getAttribute('ne-start'), 10);
+            const number = Number.isFinite(explicit) ? explicit : (state.counters[level] || 0) + 1;
+            state.counters[level] = number;
+            marker = `${number}.`;
+        } else if (type === 'task') {
+            marker = `- [${this.isTaskChecked(node) ? 'x' : ' '}]`;
+        } else {
+            marker = '-';
+        }
+        // 任务项的子内容对齐到 "- " 之后
+        state.widths[level] = type === 'task' ? 2 : marker.length + 1;
+
+        // 列表项正文：跳过符号容器与复选框，子内容使用独立的列表状态（标准 HTML 的嵌套列表）
+        const childContext = { ...context, listState: this.createListState(), listLevel: 0, parentListType: undefined };
+        let content = '';
+        for (const child of node.childNodes) {
+            if (child === symbolElement || child === checkbox) continue;
+            if (checkbox && child.nodeType === 1 && child.contains(checkbox) && !(child.textContent || '').trim()) continue;
+            content += this.convertDomNodeToMarkdown(child, childContext);
+        }
+
+        let indent = '';
+        for (let i = 0; i < level; i++) indent += ' '.repeat(state.widths[i] || 2);
+        const continuation = indent + ' '.repeat(marker.length + 1);
+        const lines = this.collapseBlankLines(content.trim()).split('\n');
+        let markdown = `${indent}${marker}${lines[0] ? ` ${lines[0]}` : ''}\n`;
+        for (const line of lines.slice(1)) {
+            markdown += line ? `${continuation}${line}\n` : '\n';
+        }
+        // 列表结束后空一行，避免后续段落被并入最后一项
+        let next = node.nextSibling;
+        while (next && next.nodeType === 3 && !next.textContent.trim()) next = next.nextSibling;
+        if (!this.isListItemNode(next)) markdown += '\n';
+        return markdown;
+    }
+
+    // 合并代码块之外的连续空行
+    collapseBlankLines(text) {
+        const out = [];
+        let fence = null;
+        for (const line of text.split('\n')) {
+            const match = line.match(/^\s*(`{3,}|~{3,})/);
+            if (match) {
+                if (!fence) fence = match[1];
+                else if (match[1][0] === fence[0] && match[1].length >= fence.length) fence = null;
+            }
+            if (!fence && !line.trim() && out.length && !out[out.length - 1].trim()) continue;
+            out.push(fence ? line : line.trimEnd());
+        }
+        return out.join('\n');
+    }
+
+    // ============ 卡片 ============
+    convertCard(node, attributes, context = {}) {
+        const name = attributes['data-card-name'] || '';
+        const handler = this.cardHandlers[name];
+        if (!handler) return null;
+        const card = {
+            name,
+            inline: attributes['data-card-type'] === 'inline',
+            attributes,
+            value: this.getCardValue(attributes),
+            context,
+            converter: this
+        };
+        try {
+            return handler(node, card);
+        } catch (error) {
+            this.log(`卡片转换失败（${name}），按通用卡片处理:`, error.message);
+            return null;
+        }
+    }
+
+    // 卡片数据：lake 格式为 "data:" + URL 编码的 JSON，存放在 data-card-value / value 属性
+    getCardValue(attributes = {}) {
+        const raw = attributes['data-card-value'] || attributes['value'];
+        if (!raw) return {};
+        const body = raw.replace(/^data:/, '');
+        for (const text of [body, this.safeDecodeURIComponent(body)]) {
+            try {
+                const value = JSON.parse(text);
+                if (value && typeof value === 'object') return value;
+            } catch {}
+        }
+        return {};
+    }
+
+    safeDecodeURIComponent(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch {
+            return text;
+        }
+    }
+
+    // 卡片中的文本源码：优先取卡片数据，其次是 TeX 注解、data-code 属性、CodeMirror 行与 pre/code
+    getCardSource(node, value = {}) {
+        const fromValue = value.code ?? value.text ?? value.source ?? value.content;
+        if (typeof fromValue === 'string' && fromValue.trim()) return fromValue;
+        const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+        if (annotation) return annotation.textContent;
+        const attributed = node.querySelector('[data-code], [data-formula]');
+        if (attributed) return attributed.getAttribute('data-code') || attributed.getAttribute('data-formula');
+        const lines = node.querySelectorAll('.cm-line');
+        if (lines.length) return Array.from(lines, line => line.textContent).join('\n');
+        const pre = node.querySelector('pre, code, textarea');
+        return pre ? pre.textContent : '';
+    }
+
+    getCardLink(node, value = {}, selectors = 'a[href]') {
+        const fromValue = value.src || value.url || value.href || value.videoUrl;
+        if (typeof fromValue === 'string' && fromValue) return fromValue;
+        const element = node.querySelector(selectors);
+        if (!element) return '';
+        return element.getAttribute('href') || element.getAttribute('src') || '';
+    }
+
+    escapeLinkText(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim().replace(/([\[\]])/g, '\\$1');
+    }
+
+    convertImageCard(node, card) {
+        const content = Array.from(node.childNodes, child => this.convertDomNodeToMarkdown(child, card.context)).join('');
+        // 图片加载失败的卡片没有 img，直接丢弃
+        return content.includes('![') ? `\n${content.trim()}\n\n` : '';
+    }
+
+    convertMathCard(node, card) {
+        const img = node.querySelector('img[alt]');
+        const code = (this.getCardSource(node, card.value) || (img && img.getAttribute('alt')) || '').trim();
+        if (!code) return null;
+        return card.inline ? `$${code}$` : `\n$$\n${code}\n$$\n\n`;
+    }
+
+    // 文本绘图转为围栏代码块；没有源码时（例如画板）退回到渲染出的图片
+    convertDiagramCard(node, card, language) {
+        const lang = (typeof card.value.type === 'string' && card.value.type) || language;
+        const code = (this.getCardSource(node, card.value) || '').replace(/\u200B/g, '').replace(/\s+$/, '');
+        if (code.trim()) {
+            const fence = '`'.repeat(Math.max(3, ...(code.match(/`{3,}/g) || []).map(run => run.length + 1)));
+            return `\n${fence}${lang}\n${code}\n${fence}\n\n`;
+        }
+        const img = node.querySelector('img[src]');
+        const src = (typeof card.value.src === 'string' && card.value.src) || (img && img.getAttribute('src'));
+        if (!src) return null;
+        const alt = this.escapeLinkText(card.value.name || card.value.title || (img && img.getAttribute('alt')) || card.name);
+        return `\n![${alt}](${src})\n\n`;
+    }
+
+    convertVideoCard(node, card) {
+        const url = this.getCardLink(node, card.value, 'video[src], source[src], iframe[src], a[href]');
+        if (!url) return null;
+        const titled = node.querySelector('[title], .ne-video-title');
+        const title = card.value.name || card.value.title ||
+            (titled && (titled.getAttribute('title') || titled.textContent)) || '视频';
+        const link = `[视频：${this.escapeLinkText(title)}](${url})`;
+        return card.inline ? link : `\n${link}\n\n`;
+    }
+
+    convertBookmarkCard(node, card) {
+        const url = this.getCardLink(node, card.value);
+        if (!url) return null;
+        const detail = card.value.detail || {};
+        const titled = node.querySelector('.ne-bookmark-title, [class*="title"]');
+        const anchor = node.querySelector('a[href]');
+        const title = detail.title || card.value.title || card.value.text ||
+            (titled && titled.textContent.trim()) || (anchor && anchor.textContent.trim()) || url;
+        const link = `[${this.escapeLinkText(title)}](${url})`;
+        return card.inline ? link : `\n${link}\n\n`;
+    }
+
+    // ============ 引用与高亮块 ============
+    getCalloutType(attributes = {}) {
+        let type = attributes['ne-alert-type'] || attributes['data-alert-type'] || attributes['data-type'] || attributes['type'] || '';
+        if (!type) {
+            const match = (attributes['class'] || '').match(/\bne-alert-(?!hole\b)([a-z0-9]+)/i);
+            if (match) type = match[1];
+        }
+        return this.options.calloutTypes[String(type).toLowerCase()] || 'NOTE';
+    }
+
+    // 每行加 "> " 前缀；嵌套引用的内容已带前缀，会自然叠加为 "> > "
+    formatBlockquote(content, callout = null) {
+        const body = this.collapseBlankLines((content || '').trim());
+        if (!body) return '';
+        const lines = body.split('\n').map(line => (line ? `> ${line}` : '>'));
+        if (callout) lines.unshift(`> [!${callout}]`);
+        return `\n${lines.join('\n')}\n\n`;
+    }
+
+    getElementAttributes(element) {
+        const attrs = {};
+        for (let attr of element.attributes) {
+            attrs[attr.name] = attr.value;
+        }
+        return attrs;
+    }
+
+    convertElementToMarkdown(tagName, attributes, content, context = {}) {
+        switch (tagName) {
+            // ne-viewer 自定义标签
+            case 'ne-h1':
+                return `\n# ${content}\n\n`;
+            case 'ne-h2':
+                return `\n## ${content}\n\n`;
+            case 'ne-h3':
+                return `\n### ${content}\n\n`;
+            case 'ne-h4':
+                return `\n#### ${content}\n\n`;
+            case 'ne-h5':
+                return `\n##### ${content}\n\n`;
+            case 'ne-h6':
+                return `\n###### ${content}\n\n`;
+                
+            case 'ne-p':
+                // 移除填充器内容
+                if (content) {
+                    return `${content}\n\n`;
+                }
+                return '';
+                
+            case 'ne-hole':
+                // ne-hole 是容器，直接返回内容
+                return content;
+
+            case 'ne-quote':
+            case 'blockquote':
+                return this.formatBlockquote(content);
+
+            case 'ne-alert':
+                // 高亮块（ne-alert-hole 为外层容器），按类型转换为 GitHub 风格提示
+                return this.formatBlockquote(content, this.getCalloutType(attributes));
+
+            case 'ne-hr':
+            case 'hr':
+                // 前后留空行，避免 --- 紧跟文字时被解析为二级标题
+                return '\n\n---\n\n';
+            case 'ne-text':
+                // 处理ne-text的样式属性
+                let styledContent = content;
+                if (attributes['ne-bold'] === 'true') {
+                    styledContent = `**${styledContent}**`;
+                }
+                if (attributes['ne-italic'] === 'true') {
+                    styledContent = `*${styledContent}*`;
+                }
+                if (attributes['ne-code'] === 'true') {
+                    styledContent = `\`${styledContent}\``;
+                }
+                if (attributes['ne-underline'] === 'true') {
+                    styledContent = `<u>${styledContent}</u>`;
+                }
+                if (attributes['ne-strikethrough'] === 'true') {
+                    styledContent = `~~${styledContent}~~`;
+                }
+                return styledContent;
+                
+            case 'ne-code': {
+                // ne-code 内联代码。content 可能已被转义，这里主要作为回退。
+                const raw = content.replace(/\n+/g, ' ');
+                const runs = raw.match(/`+/g);
+                let fenceLen = 1;
+                if (runs && runs.length) {
+                    fenceLen = Math.max(...runs.map(s => s.length)) + 1;
+                }
+                const fence = '`'.repeat(fenceLen);
+                const needsPadding = raw.startsWith('`') || raw.endsWith('`') || raw.startsWith(' ') || raw.endsWith(' ');
+                return needsPadding ? `${fence} ${raw} ${fence}` : `${fence}${raw}${fence}`;
+            }
+
+            case 'ne-codeblock':
+                // 在代码块上下文内，避免子元素再包裹内联反引号
+                const language = attributes['language'] || '';
+                // 标记上下文，防止子级 ne-code 处理
+                if (context) context.inCodeBlock = true;
+                const inner = content;
+                if (context) context.inCodeBlock = false;
+                return `\n\`\`\`${language}\n${inner}\n\`\`\`\n\n`;
+                
+            case 'ne-ul':
+            case 'ul':
+                return `\n${content}\n`;
+                
+            case 'ne-ol':
+            case 'ol':
+                return `\n${content}\n`;
+                
+            // 列表项（ne-oli / ne-uli / ne-tli / ne-li / li）由 convertListItem 处理
+            // 列表项内部结构
+            case 'ne-oli-i':
+                // 列表符号/编号（例如 •、1、a），保留下来并在后面追加空格
+                return content ? `${content} ` : '';
+            case 'ne-oli-c':
+                // 列表内容容器
+                return content;
+            case 'ne-list-symbol':
+                // 自定义符号不直接输出
+                return '';
+                
+            case 'ne-card':
+                // 没有处理器（或处理器放弃）的卡片：含图片时按图片输出，行内卡片保留文字，其余内容以引用保留
+                if (content.includes('![')) {
+                    return `\n${content}\n\n`;
+                }
+                if (attributes['data-card-type'] === 'inline') {
+                    return content.trim();
+                }
+                return this.formatBlockquote(content);
+                
+            case 'ne-table-hole':
+            case 'ne-table-wrap':
+            case 'ne-table-inner-wrap':
+            case 'ne-table-box':
+                // 这些是包装器，直接返回内容
+                return content;
+                
+            case 'ne-table':
+            case 'table':
+                // 实际的表格元素，进行表格转换
+                return `\n${this.convertTableToMarkdown(content)}\n\n`;
+                
+            case 'ne-table-row':
+            case 'ne-tr':
+            case 'tr':
+                return content;
+                
+            case 'ne-table-cell':
+            case 'ne-td':
+            case 'td':
+            case 'th':
+                return content;
+                
+            case 'ne-td-content':
+                return content;
+                
+            case 'ne-td-break':
+                return ''; // 忽略单元格分隔符
+                
+            case 'colgroup':
+            case 'col':
+            case 'tbody':
+            case 'thead':
+            case 'tfoot':
+                return content; // 表格结构元素，返回内容
+                
+            // 标准HTML标签 - 仅保留基本格式化标签
+            case 'br':
+                return '\n';
+                
+            case 'a':
+                const href = attributes['href'] || '';
+                return href ? `[${content}](${href})` : content;
+                
+            case 'img':
+                const src = attributes['src'] || '';
+                const alt = attributes['alt'] || this.options.imageAlt;
+                return src ? `![${alt}](${src})` : '';
+                
+            // CodeMirror 相关元素
+            case 'div':
+                if (attributes['class'] && attributes['class'].includes('ne-image-error')) {
+                    return ''; // 忽略图片加载失败提示
+                }
+            case 'span':
+                const className = attributes['class'] || '';
+                
+                // 忽略填充器
+                if (className.includes('ne-viewer-b-filler') || attributes['ne-filler']) {
+                    return '';
+                }
+                
+            // CodeMirror 代码行 - 保持原样不添加换行，让extractCodeFromCard处理
+            if (className.includes('cm-line')) {
+                return content;
+            }                // 忽略 CodeMirror UI 组件
+                if (className.includes('cm-editor') ||
+                    className.includes('cm-scroller') ||
+                    className.includes('cm-content') ||
+                    className.includes('cm-gutter') ||
+                    className.includes('cm-cursor') ||
+                    className.includes('cm-selection') ||
+                    className.includes('cm-layer') ||
+                    className.includes('cm-announced') ||
+                    className.includes('ne-codeblock-copy') ||
+                    className.includes('ne-codeblock-inner') ||
+                    className.includes('ne-card-container') ||
+                    className.includes('ne-v-codeblock-hold')) {
+                    return content; // 返回内容，忽略容器本身
+                }
+                
+                // ne-viewer 特殊元素
+                if (className.includes('ne-code')) {
+                    // class 标识的内联代码
+                    const raw = content.replace(/\n+/g, ' ');
+                    const runs = raw.match(/`+/g);
+                    let fenceLen = 1;
+                    if (runs && runs.length) {
+                        fenceLen = Math.max(...runs.map(s => s.length)) + 1;
+                    }
+                    const fence = '`'.repeat(fenceLen);
+                    const needsPadding = raw.startsWith('`') || raw.endsWith('`') || raw.startsWith(' ') || raw.endsWith(' ');
+                    return needsPadding ? `${fence} ${raw} ${fence}` : `${fence}${raw}${fence}`;
+                }
+                if (className.includes('ne-codeblock')) {
+                    return content;
+                }
+                
+                // 对于其他 div/span，返回内容
+                return content;
+                
+            // 忽略的标签
+            case 'script':
+            case 'style':
+                return '';
+                
+            default:
+                // 未知标签，返回内容
+                return content;
+        }
+    }
+
+    convertTableToMarkdown(content) {
+        if (!content || !content) return '';
+
+        try {
+            // 使用临时根表包裹传入内容，确保选择器稳定
+            const dom = new JSDOM(`<!DOCTYPE html><html><body><table class="__root">${content}</table></body></html>`);
+            const document = dom.window.document;
+            const rootTable = document.querySelector('table.__root');
+            if (!rootTable) return '';
+
+            const rows = rootTable.querySelectorAll('tr, .ne-tr');
+            if (rows.length === 0) {
+                const cleanContent = this.cleanHtmlTags(content);
+                return cleanContent ? `\n\`\`\`\n${cleanContent}\n\`\`\`\n` : '';
+            }
+
+            const escapeCell = (s) => {
+                return (s || '')
+                    .replace(/\u200B|\uFEFF/g, '')     // 零宽字符
+                    .replace(/\u00A0/g, ' ')           // NBSP -> 空格
+                    .replace(/\r\n?/g, '\n')         // 统一换行
+                    .replace(/\|/g, '\\|')           // 转义管道
+                    .split('\n')
+                    .map(line => line.trimEnd())
+                    .join('<br>');                      // 单元格内换行 -> <br>
+            };
+
+            let markdown = '';
+            let headerEmitted = false;
+
+            for (let i = 0; i < rows.length; i++) {
+                const row = rows[i];
+                const cells = row.querySelectorAll('th, td, .ne-td');
+                if (cells.length === 0) continue;
+
+                const hasTh = row.querySelectorAll('th').length > 0;
+                const isHeaderRow = hasTh || (!headerEmitted && i === 0);
+
+                const cellContents = [];
+                for (let j = 0; j < cells.length; j++) {
+                    const cell = cells[j];
+
+                    const contentDiv = cell.querySelector('.ne-td-content');
+                    let cellMd = '';
+
+                    const collect = (node) => {
+                        if (!node) return;
+                        for (let child of node.childNodes) {
+                            cellMd += this.convertDomNodeToMarkdown(child);
+                        }
+                    };
+                    if (contentDiv) collect(contentDiv); else collect(cell);
+
+                    // 保留逻辑结构：合并多余空行，保留“换行 -> <br>”
+                    cellMd = cellMd.replace(/\n{2,}/g, '\n');
+                    cellContents.push(escapeCell(cellMd) || ' ');
+                }
+
+                markdown += '| ' + cellContents.join(' | ') + ' |\n';
+
+                if (!headerEmitted && isHeaderRow) {
+                    const separator = cellContents.map(() => '---').join(' | ');
+                    markdown += '| ' + separator + ' |\n';
+                    headerEmitted = true;
+                }
+            }
+
+            return markdown || `\n\`\`\`\n${this.cleanHtmlTags(content)}\n\`\`\`\n`;
+
+        } catch (error) {
+            this.log('表格解析失败，使用备用方法:', error.message);
+            const cleanContent = this.cleanHtmlTags(content);
+            return cleanContent ? `\n\`\`\`\n${cleanContent}\n\`\`\`\n` : '';
+        }
+    }
+
+    extractCodeFromCard(content, attributes = {}) {
+        // 从ne-card代码块中提取实际的代码内容
+        if (!content) {
+            // console.log('代码块内容为空');
+            return '';
+        }
+        
+        let language = '';
+        let codeContent = '';
+        
+        try {
+            // 创建DOM来解析代码块内容
+            const dom = new JSDOM(`<!DOCTYPE html><html><body>${content}</body></html>`);
+            const document = dom.window.document;
+            
+            // 尝试从data-codeblock-mode属性获取语言
+            const codeblockElement = document.querySelector('[data-codeblock-mode]');
+            if (codeblockElement) {
+                language = codeblockElement.getAttribute('data-codeblock-mode') || '';
+                // console.log('找到代码块语言(codeblock-mode):', language);
+            }
+            
+            // 如果没有找到，尝试从data-language属性获取
+            if (!language) {
+                const contentElement = document.querySelector('[data-language]');
+                if (contentElement) {
+                    language = contentElement.getAttribute('data-language') || '';
+                    // console.log('找到代码块语言(data-language):', language);
+                    // 语言别名（如 shell -> bash）
+                    language = this.normalizeLanguage(language);
+                }
+            }
+            
+            // 提取代码行内容
+            const codeLines = document.querySelectorAll('.cm-line');
+            // console.log(`代码块中找到 ${codeLines.length} 行代码`);
+            
+            if (codeLines.length > 0) {
+                const lines = [];
+                codeLines.forEach((line, index) => {
+                    // 直接获取文本内容，保留空格
+                    let lineText = '';
+                    
+                    // 遍历cm-line的所有子节点
+                    const walkNodes = (node) => {
+                        if (node.nodeType === 3) { // TEXT_NODE
+                            lineText += node.textContent;
+                        } else if (node.nodeType === 1) { // ELEMENT_NODE
+                            if (node.tagName.toLowerCase() === 'br') {
+                                // 行内 br 忽略，避免多一层换行
+                                return;
+                            }
+                            // 递归处理子节点
+                            for (let child of node.childNodes) {
+                                walkNodes(child);
+                            }
+                        }
+                    };
+                    
+                    for (let child of line.childNodes) {
+                        walkNodes(child);
+                    }
+                    
+                    if (index < 3) { // 只打印前3行作为调试
+                        // console.log(`  行 ${index + 1}: "${lineText}"`);
+                    }
+                    lines.push(lineText || ''); // 保留空行
+                });
+                codeContent = lines.join('\n');
+            } else {
+                // 兜底：从常见容器拉取纯文本
+                const fallback =
+                    document.querySelector('.cm-content') ||
+                    document.querySelector('.ne-codeblock-inner') ||
+                    document.querySelector('pre code') ||
+                    document.querySelector('pre') ||
+                    document.querySelector('code');
+                if (fallback) {
+                    codeContent = fallback.textContent || '';
+                }
+            }
+            
+        } catch (error) {
+            this.log('代码块解析失败，使用备用方法:', error.message);
+            // 备用方法：直接清理HTML标签
+            codeContent = this.cleanHtmlTags(content, true);
+            
+            // 尝试从内容中提取语言标识符
+            const languageMatch = content.match(/data-codeblock-mode="([^"]+)"/i) || 
+                                 content.match(/data-language="([^"]+)"/i);
+            if (languageMatch) {
+                language = this.normalizeLanguage(languageMatch[1].toLowerCase());
+            }
+        }
+        
+        // 清理代码内容
+        codeContent = codeContent
+            .replace(/\u200B/g, ''); // 移除零宽度空格
+        
+        // 如果内容不为空，格式化为代码块
+        if (codeContent.length > 0) {
+            return `\n\`\`\`${language}\n${codeContent}\n\`\`\`\n\n`;
+        }
+        
+        return '';
+    }
+
+    escapeMarkdown(text) {
+        if (!text) return '';
+        
+        // 转换HTML实体
+        let out = text
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&hellip;/g, '...');
+
+        // 为了避免 Markdown 将 <...> 解析为 HTML 标签，统一转义尖括号
+        // 代码块与内联代码不会走到这里（有各自处理），因此这里的全局转义是安全的
+        if (this.options.escapeHtml) {
+            out = out.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }
+        return out;
+    }
+    
+    cleanHtmlTags(html, preserveWhitespace = false) {
+        if (!html) return '';
+        
+        let cleaned = html
+            .replace(/<script[^>]*>.*?<\/script>/gis, '') // 移除脚本
+            .replace(/<style[^>]*>.*?<\/style>/gis, '') // 移除样式
+            .replace(/<[^>]+>/g, ''); // 移除HTML标签
+        
+        if (!preserveWhitespace) {
+            cleaned = cleaned
+                .replace(/&nbsp;/g, ' ') // 转换HTML实体
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&amp;/g, '&')
+                .replace(/&quot;/g, '"')
+                .replace(/&#39;/g, "'")
+                .replace(/\s+/g, ' ') // 多个空白字符合并为一个空格
+                ;
+        } else {
+            // 对于代码块，保持原有格式
+            cleaned = cleaned
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&amp;/g, '&')
+                .replace(/&quot;/g, '"')
+                .replace(/&#39;/g, "'");
+        }
+        
+        return cleaned;
+    }
+}
+
+// 便捷函数：一次性转换
+function convertHtmlToMarkdown(html, options = {}) {
+    return new NeViewerConverter(options).convert(html);
+}
+
+module.exports = { NeViewerConverter, convertHtmlToMarkdown, DEFAULT_OPTIONS };
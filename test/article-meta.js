@@ -0,0 +1,61 @@
+// extractArticleMeta 单元测试：在 JSDOM 中执行详情页元信息提取（作者、分类、发布时间、标签）
+// 用法: node test/article-meta.js
+const assert = require('assert');
+const { JSDOM } = require('jsdom');
+const XianzhiCrawler = require('../xianzhi_crawler');
+
+const crawler = new XianzhiCrawler();
+
+// 以 JSDOM 文档代替 Playwright 页面
+const fakePage = (html) => {
+    const dom = new JSDOM(html, { url: 'https://xz.aliyun.com/news/12345' });
+    return { evaluate: (fn) => Promise.resolve(fn(dom.window.document)) };
+};
+
+const page = (info, extra = '') => `<!DOCTYPE html><html><body>
+<header><a href="/stage">活动舞台</a><div class="tagline">安全从这里开始</div></header>
+<div class="detail">
+  <h1>某 CMS 反序列化漏洞分析</h1>
+  <div class="info">
+    <a href="/users/1001">tester</a>
+    <a href="/news?cate_id=9">漏洞分析</a>
+    <span>2025-09-26 08:49</span>
+    ${info}
+  </div>
+  <div class="ne-viewer-body"><p>正文</p><a href="/tag/99">正文中的标签链接</a></div>
+</div>
+${extra}
+</body></html>`;
+
+const cases = [
+    {
+        name: '标签链接与标签类名',
+        html: page('<a href="/tag/12">反序列化</a><span class="ant-tag">#Java</span><a href="/news?tag=web">Web安全</a>'),
+        expected: { author: 'tester', category: '漏洞分析', publishTime: '2025-09-26 08:49', tags: ['反序列化', 'Java', 'Web安全'] }
+    },
+    {
+        name: '含 tag 子串但不是标签',
+        html: page('<span class="vintage">复古</span><a href="/vintage/1">老文章</a>',
+            '<footer><a href="https://example.com/stage?from=footer">合作</a><p class="tagline-text">口号</p></footer>'),
+        expected: { author: 'tester', category: '漏洞分析', publishTime: '2025-09-26 08:49', tags: [] }
+    }
+];
+
+async function main() {
+    let failed = 0;
+    for (const { name, html, expected } of cases) {
+        const actual = await crawler.extractArticleMeta(fakePage(html));
+        const picked = Object.fromEntries(Object.keys(expected).map(key => [key, actual[key]]));
+        try {
+            assert.deepStrictEqual(picked, expected);
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${name}\n   期望 ${JSON.stringify(expected)}\n   实际 ${JSON.stringify(picked)}`);
+        }
+    }
+    console.log(`\n通过 ${cases.length - failed}，失败 ${failed}`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,80 @@
+// export --output=- 回归测试：stdout 只能包含导出数据，提示信息必须写到 stderr
+// 用法: node test/export-stdout.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CRAWLER = path.join(__dirname, '..', 'xianzhi_crawler.js');
+
+// 临时归档：清单 + 两篇 Markdown
+function createArchive() {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xz-export-'));
+    const papersDir = path.join(outDir, 'papers');
+    fs.mkdirSync(papersDir, { recursive: true });
+    const articles = {};
+    [
+        { id: '101', title: '第一篇, "引号"', publishTime: '2025-01-02 10:00', body: '正文一\n\n```js\nconsole.log(1)\n```' },
+        { id: '102', title: '第二篇', publishTime: '2025-01-03 11:00', body: '正文二' }
+    ].forEach(({ id, title, publishTime, body }) => {
+        const link = `https://xz.aliyun.com/news/${id}`;
+        const fileName = `${id}.md`;
+        fs.writeFileSync(path.join(papersDir, fileName), `# ${title}\n\n${body}\n`, 'utf8');
+        articles[link] = { link, articleId: id, title, publishTime, category: '测试', author: 'tester', fileName, crawledAt: '2025-01-04T00:00:00.000Z' };
+    });
+    fs.writeFileSync(path.join(papersDir, 'manifest.json'), JSON.stringify({ version: 1, articles }, null, 2), 'utf8');
+    return outDir;
+}
+
+function runExport(outDir, format) {
+    const result = spawnSync(process.execPath, [CRAWLER, 'export', `--format=${format}`, '--output=-', `--out-dir=${outDir}`], {
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    assert.strictEqual(result.status, 0, `export --format=${format} 退出码 ${result.status}\n${result.stderr}`);
+    // 提示信息应出现在 stderr
+    assert.ok(result.stderr.includes('已加载清单'), `stderr 中缺少提示信息:\n${result.stderr}`);
+    return result.stdout;
+}
+
+const cases = {
+    jsonl(stdout) {
+        const lines = stdout.split('\n').filter(Boolean);
+        assert.strictEqual(lines.length, 2);
+        const records = lines.map(line => JSON.parse(line));
+        assert.deepStrictEqual(records.map(r => r.articleId), ['101', '102']);
+        assert.ok(records[0].content.includes('console.log(1)'));
+    },
+    json(stdout) {
+        const data = JSON.parse(stdout);
+        assert.strictEqual(data.count, 2);
+        assert.strictEqual(data.articles[1].title, '第二篇');
+    },
+    csv(stdout) {
+        assert.ok(stdout.startsWith('\uFEFFschemaVersion,link,'), `CSV 表头不正确: ${stdout.slice(0, 40)}`);
+        assert.ok(stdout.includes('"第一篇, ""引号"""'));
+    }
+};
+
+function main() {
+    const outDir = createArchive();
+    let failed = 0;
+    try {
+        for (const [format, check] of Object.entries(cases)) {
+            try {
+                check(runExport(outDir, format));
+                console.log(`✅ export --format=${format} --output=-`);
+            } catch (error) {
+                failed++;
+                console.log(`❌ export --format=${format} --output=-\n${error.message}`);
+            }
+        }
+    } finally {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    }
+    console.log(`\n通过 ${Object.keys(cases).length - failed}，失败 ${failed}`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,60 @@
+// parseArticleStats 单元测试：列表页 / 详情页文本中的浏览、评论、点赞、收藏计数
+// 用法: node test/parse-stats.js
+const assert = require('assert');
+const XianzhiCrawler = require('../xianzhi_crawler');
+
+const crawler = new XianzhiCrawler();
+
+const cases = [
+    {
+        name: '列表条目',
+        text: '漏洞分析 · 174浏览 · 2025-09-26 08:49',
+        expected: { views: 174, comments: null, likes: null, favorites: null }
+    },
+    {
+        name: '时间戳后紧跟无数字的标签',
+        text: '发布于 2025-09-26 08:49 评论 · 点赞',
+        expected: { views: null, comments: null, likes: null, favorites: null }
+    },
+    {
+        name: '标签后紧跟日期',
+        text: '浏览 2025-09-26 · 评论 3',
+        expected: { views: null, comments: 3, likes: null, favorites: null }
+    },
+    {
+        name: '赞助不是点赞',
+        text: '赞助 50 · 3赞助 · 收藏 2',
+        expected: { views: null, comments: null, likes: null, favorites: 2 }
+    },
+    {
+        name: '单位与空格',
+        text: '1.2k 浏览 · 12 评论 · 点赞：8 · 3万阅读 · 5收藏',
+        expected: { views: 1200, comments: 12, likes: 8, favorites: 5 }
+    },
+    {
+        name: '单独的赞',
+        text: '2025-09-26 08:49 · 7赞',
+        expected: { views: null, comments: null, likes: 7, favorites: null }
+    },
+    {
+        name: '更新时间',
+        text: '更新于 2025-10-01 12:30 · 9 浏览',
+        expected: { views: 9, comments: null, likes: null, favorites: null, updatedTime: '2025-10-01 12:30' }
+    }
+];
+
+let failed = 0;
+for (const { name, text, expected } of cases) {
+    const actual = crawler.parseArticleStats(text);
+    const picked = Object.fromEntries(Object.keys(expected).map(key => [key, actual[key]]));
+    try {
+        assert.deepStrictEqual(picked, expected);
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`❌ ${name}: ${JSON.stringify(text)}\n   期望 ${JSON.stringify(expected)}\n   实际 ${JSON.stringify(picked)}`);
+    }
+}
+
+console.log(`\n通过 ${cases.length - failed}，失败 ${failed}`);
+if (failed > 0) process.exitCode = 1;
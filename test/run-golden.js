@@ -0,0 +1,73 @@
+// 转换器黄金文件回归测试
+// 用法: node test/run-golden.js [名称...] [--update]
+//   fixtures/<名称>.html 为保存的 .ne-viewer-body 片段，fixtures/<名称>.md 为期望的 Markdown
+//   --update 用当前转换结果重写期望文件，随后通过 git diff 审阅转换器改动带来的变化
+const fs = require('fs');
+const path = require('path');
+const { NeViewerConverter } = require('../ne_viewer_converter');
+const { unifiedDiff } = require('../text_diff');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function main() {
+    const argv = process.argv.slice(2);
+    const update = argv.includes('--update');
+    const only = argv.filter(a => !a.startsWith('--'));
+
+    const names = fs.readdirSync(FIXTURES_DIR)
+        .filter(f => f.endsWith('.html'))
+        .map(f => f.replace(/\.html$/, ''))
+        .filter(name => only.length === 0 || only.includes(name))
+        .sort();
+    if (names.length === 0) {
+        console.error(only.length ? `未找到样例: ${only.join(', ')}` : `fixtures 目录下没有 .html 样例: ${FIXTURES_DIR}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // 与 convert 子命令一致：裁剪首尾空白，末尾保留一个换行
+    const converter = new NeViewerConverter({ logger: { log: (...items) => console.error(...items) } });
+    let passed = 0;
+    let failed = 0;
+    let written = 0;
+
+    for (const name of names) {
+        const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+        const actual = `${(converter.convert(html) || '').trim()}\n`;
+        const expectedPath = path.join(FIXTURES_DIR, `${name}.md`);
+        const expected = fs.existsSync(expectedPath) ? fs.readFileSync(expectedPath, 'utf8') : null;
+
+        if (update) {
+            if (expected !== actual) {
+                fs.writeFileSync(expectedPath, actual, 'utf8');
+                written++;
+                console.log(`📝 ${expected === null ? '新建' : '更新'}: ${name}.md`);
+            }
+            continue;
+        }
+
+        if (expected === null) {
+            failed++;
+            console.log(`❌ ${name}: 缺少期望文件 ${name}.md（使用 --update 生成）`);
+        } else if (expected === actual) {
+            passed++;
+            console.log(`✅ ${name}`);
+        } else {
+            failed++;
+            console.log(`❌ ${name}`);
+            console.log(unifiedDiff(expected, actual, `expected/${name}.md`, `actual/${name}.md`));
+        }
+    }
+
+    if (update) {
+        console.log(`\n完成：${names.length} 个样例，更新 ${written} 个期望文件`);
+        return;
+    }
+    console.log(`\n通过 ${passed}，失败 ${failed}（共 ${names.length} 个样例）`);
+    if (failed > 0) {
+        console.log('如改动符合预期，执行 npm run test:update 更新期望文件并提交 diff');
+        process.exitCode = 1;
+    }
+}
+
+main();
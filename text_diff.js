@@ -0,0 +1,112 @@
+// 行级文本差分（unified diff），供变更报告与黄金文件测试共用，不依赖爬虫实例
+
+// Myers 差分，输出带 3 行上下文的 unified diff。
+// 先去掉公共首尾行，回溯记录只保存每步用到的 2d+1 个对角线，内存为 O(D²)；
+// 编辑距离超过 maxEdits 时不再求最短编辑序列，只给出增删行数摘要，避免大幅改写的文章耗尽内存
+function unifiedDiff(oldText, newText, fromName = 'a', toName = 'b', context = 3, maxEdits = 2000) {
+    const a = oldText ? String(oldText).split('\n') : [];
+    const b = newText ? String(newText).split('\n') : [];
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+    const n = a.length - prefix - suffix;
+    const m = b.length - prefix - suffix;
+    if (n === 0 && m === 0) return '';
+    const A = (i) => a[prefix + i];
+    const B = (j) => b[prefix + j];
+
+    const max = Math.min(n + m, maxEdits);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let found = false;
+    outer:
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && A(x) === B(y)) { x++; y++; }
+            v[offset + k] = x;
+            if (x >= n && y >= m) { found = true; break outer; }
+        }
+    }
+    if (!found) return summarizeDiff(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix), fromName, toName);
+
+    // 回溯得到编辑序列（trace[d] 为第 d 步开始前对角线 -d..d 的状态）
+    const middle = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+        const vd = trace[d];
+        const at = (k) => vd[k + d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) { middle.push({ type: ' ', line: A(x - 1) }); x--; y--; }
+        if (d === 0) break;
+        if (x === prevX) middle.push({ type: '+', line: B(y - 1) });
+        else middle.push({ type: '-', line: A(x - 1) });
+        x = prevX;
+        y = prevY;
+    }
+    middle.reverse();
+    const ops = [
+        ...a.slice(0, prefix).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...a.slice(a.length - suffix).map(line => ({ type: ' ', line }))
+    ];
+
+    // 按上下文切分为 hunk
+    const hunks = [];
+    let i = 0;
+    let oldLine = 1;
+    let newLine = 1;
+    const positions = ops.map(op => {
+        const pos = { oldLine, newLine };
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+        return pos;
+    });
+    while (i < ops.length) {
+        if (ops[i].type === ' ') { i++; continue; }
+        let start = Math.max(0, i - context);
+        let end = i;
+        while (end < ops.length) {
+            if (ops[end].type !== ' ') { end++; continue; }
+            let run = 0;
+            while (end + run < ops.length && ops[end + run].type === ' ') run++;
+            if (end + run >= ops.length || run > context * 2) { end = Math.min(ops.length, end + context); break; }
+            end += run;
+        }
+        const slice = ops.slice(start, end);
+        const oldCount = slice.filter(op => op.type !== '+').length;
+        const newCount = slice.filter(op => op.type !== '-').length;
+        const oldStart = oldCount ? positions[start].oldLine : positions[start].oldLine - 1;
+        const newStart = newCount ? positions[start].newLine : positions[start].newLine - 1;
+        hunks.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n` + slice.map(op => op.type + op.line).join('\n'));
+        i = end;
+    }
+    if (!hunks.length) return '';
+    return `--- ${fromName}\n+++ ${toName}\n${hunks.join('\n')}\n`;
+}
+
+// 差异过大时的摘要：按行计数比较（不考虑顺序），给出新增/删除行数
+function summarizeDiff(oldLines, newLines, fromName, toName) {
+    const counts = new Map();
+    for (const line of oldLines) counts.set(line, (counts.get(line) || 0) + 1);
+    let added = 0;
+    for (const line of newLines) {
+        const left = counts.get(line) || 0;
+        if (left > 0) counts.set(line, left - 1);
+        else added++;
+    }
+    let removed = 0;
+    for (const left of counts.values()) removed += left;
+    return `--- ${fromName}\n+++ ${toName}\n# 差异过大，省略逐行对比：+${added} / -${removed} 行\n`;
+}
+
+module.exports = { unifiedDiff, summarizeDiff };
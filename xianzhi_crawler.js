@@ -4,7 +4,15 @@ const path = require('path');
 const http = require('http');
 const https = require('https');
 const crypto = require('crypto');
+const zlib = require('zlib');
 const { JSDOM } = require('jsdom');
+const { marked, Marked } = require('marked');
+const hljs = require('highlight.js');
+const { NeViewerConverter } = require('./ne_viewer_converter');
+const { unifiedDiff } = require('./text_diff');
+
+// 结构化导出（JSON / JSONL / CSV）的数据格式版本，字段变化时递增
+const EXPORT_SCHEMA_VERSION = 1;
 
 class XianzhiCrawler {
     constructor(options = {}) {
@@ -28,6 +36,52 @@ class XianzhiCrawler {
         this.failures = []; // 失败记录
         this._summaryUpdateCounter = 0; // 汇总更新节流计数器
         this._seenKeys = new Set(); // 去重键（link 优先）
+        this.incremental = !!options.incremental; // 增量模式：遇到整页已知文章即停止翻页
+        this.manifest = { version: 1, updatedAt: null, articles: {} }; // 持久化清单（跨运行）
+        this._manifestDirty = false;
+        this.retries = Number(options.retries) >= 0 ? Number(options.retries) : 1; // 详情页失败重试次数
+        this.retryBaseDelay = Number(options.retryBaseDelay) > 0 ? Number(options.retryBaseDelay) : 800; // 重试退避基数（毫秒，指数递增）
+        this.retryFailures = options.retryFailures || null; // 重放的 failures-*.json 路径
+        this.urls = Array.isArray(options.urls) ? options.urls : []; // 直接抓取的文章链接（跳过列表页）
+        this.urlFiles = Array.isArray(options.urlFiles) ? options.urlFiles : []; // 链接列表文件（每行一个）
+        this.board = options.board || '社区板块'; // 列表页板块（名称或 cate_id）
+        this.categories = Array.isArray(options.categories) ? options.categories : []; // 板块内要爬取的分类（名称或 cate_id）
+        this.summaryGroupBy = options.summaryGroupBy || null; // 汇总分组：board / category
+        this._boardCateId = null;
+        this._boardName = null;
+        this._selectedCateId = null;
+        this._categoryName = null;
+        this.filters = this.normalizeFilters(options.filters); // 列表条目过滤（标题关键词/正则、作者、分类）
+        this.skipStats = { date: 0, known: 0, keyword: 0, author: 0, category: 0 }; // 跳过计数
+        this.authorProfile = options.authorProfile || null; // 作者主页（用户 ID 或主页 URL）
+        const sortFields = ['publishTime', 'updatedTime', 'views', 'comments', 'likes', 'favorites'];
+        this.sortBy = sortFields.includes(options.sortBy) ? options.sortBy : 'publishTime'; // 汇总排序字段
+        this.sortOrder = options.sortOrder === 'asc' ? 'asc' : 'desc';
+        const profiles = ['default', 'obsidian', 'hugo', 'hexo'];
+        this.profile = profiles.includes(options.profile) ? options.profile : 'default'; // 输出配置：目录结构、front matter、图片与链接格式
+        const metaStyles = ['footer', 'front-matter', 'both'];
+        // 单篇文章元信息样式；obsidian/hugo/hexo 默认只输出 front matter
+        this.metaStyle = metaStyles.includes(options.metaStyle) ? options.metaStyle : (this.profile === 'default' ? 'footer' : 'front-matter');
+        this.fileNameTemplate = options.fileNameTemplate || '{title}'; // 文件名模板，如 {date}_{id}_{title}
+        this._fileOwners = null; // 文件名 -> 文章 key，用于冲突检测
+        this.outDir = path.resolve(options.outDir || __dirname); // 输出根目录（papers/、SUMMARY-*.md、failures-*.json）
+        this.archiveHtml = options.archiveHtml !== false; // 是否归档原始HTML（.html.gz）
+        this.converter = new NeViewerConverter(options.converterOptions); // HTML -> Markdown 转换器（见 ne_viewer_converter.js）
+        this.sqlite = !!options.sqlite; // 是否同步写入 SQLite 归档库
+        this.dbPath = options.dbPath || null; // SQLite 文件路径，默认 <outDir>/archive.db
+        this.searchOptions = options.searchOptions || {}; // search 子命令参数
+        this._db = null;
+        this.format = options.format || null; // 抓取时额外输出的结构化格式（jsonl）或 export 子命令的导出格式
+        this.exportOptions = options.exportOptions || {}; // export 子命令参数：output / withText / withStructure
+        this._jsonlPath = null;
+        this.serveOptions = options.serveOptions || {}; // serve 子命令参数：host / port
+        this._textCache = new Map(); // serve 模式下的纯文本缓存（link -> { hash, text }）
+        this.changes = { added: [], changed: [] }; // 本次运行新增/内容变化的文章，用于 CHANGES 报告
+        this._listWindows = new Map(); // 列表页范围（板块/分类 -> 出现过的链接与时间窗口），用于识别消失的文章
+        const layouts = ['flat', 'year-month', 'category'];
+        this.layout = layouts.includes(options.layout) ? options.layout : 'flat'; // papers/ 下的目录布局
+        this.command = options.command || null; // 子命令（不启动浏览器的离线操作）
+        this.dryRun = !!options.dryRun;
     }
 
     async init() {
@@ -54,27 +108,100 @@ class XianzhiCrawler {
             
             console.log('页面加载完成');
             
-            // 点击社区板块标签
-            try {
-                const communityTab = this.page.locator('text=社区板块').first();
-                if (await communityTab.isVisible({ timeout: 5000 })) {
-                    console.log('找到社区板块标签，点击切换...');
-                    await communityTab.click();
-                    // 等待社区板块标签被选中
-                    await this.page.waitForLoadState("load");
-                    console.log('已切换到社区板块');
-                } else {
-                    console.log('未找到社区板块标签，可能已经在社区板块页面');
-                }
-            } catch (error) {
-                console.log('点击社区板块标签失败:', error.message);
-            }
+            // 切换到指定板块（默认社区板块）
+            await this.selectBoard(this.board);
             
         } catch (error) {
             throw new Error(`导航到新闻页面失败: ${error.message}`);
         }
     }
 
+    async selectBoard(board) {
+        const boardStr = String(board || '社区板块').trim();
+        const isId = /^\d+$/.test(boardStr);
+        try {
+            // 板块标签形如 <li data-cateid="26">社区板块</li>，支持按名称或 cate_id 匹配
+            const tab = isId
+                ? this.page.locator(`li[data-cateid="${boardStr}"]`).first()
+                : this.page.locator('li[data-cateid]', { hasText: boardStr }).first();
+            const fallback = isId ? tab : this.page.locator(`text=${boardStr}`).first();
+            const target = (await tab.isVisible({ timeout: 5000 }).catch(() => false)) ? tab : fallback;
+            if (await target.isVisible({ timeout: 5000 })) {
+                console.log(`找到${boardStr}标签，点击切换...`);
+                await target.click();
+                await this.page.waitForLoadState("load");
+                console.log(`已切换到${boardStr}`);
+            } else {
+                console.log(`未找到${boardStr}标签，可能已经在该板块页面`);
+            }
+            const cateId = await target.getAttribute('data-cateid', { timeout: 2000 }).catch(() => null);
+            const name = ((await target.textContent({ timeout: 2000 }).catch(() => '')) || '').trim();
+            this._boardCateId = cateId || (isId ? boardStr : (boardStr === '社区板块' ? '26' : null));
+            this._boardName = name || boardStr;
+        } catch (error) {
+            console.log(`点击${boardStr}标签失败:`, error.message);
+            this._boardCateId = isId ? boardStr : (boardStr === '社区板块' ? '26' : null);
+            this._boardName = boardStr;
+        }
+        this._selectedCateId = this._boardCateId;
+    }
+
+    async selectCategory(category) {
+        const catStr = String(category).trim();
+        const isId = /^\d+$/.test(catStr);
+        console.log(`\n===== 切换分类: ${catStr} =====`);
+        // 分类可能是板块内的标签（li[data-cateid]），也可能只以 cate_id 链接出现
+        const tab = isId
+            ? this.page.locator(`li[data-cateid="${catStr}"]`).first()
+            : this.page.locator('li[data-cateid]', { hasText: catStr }).first();
+        if (await tab.isVisible({ timeout: 3000 }).catch(() => false)) {
+            const cateId = await tab.getAttribute('data-cateid');
+            await tab.click();
+            await this.page.waitForLoadState('load');
+            this._selectedCateId = cateId;
+            this._categoryName = isId ? ((await tab.textContent()) || '').trim() || catStr : catStr;
+            return;
+        }
+        let cateId = isId ? catStr : null;
+        if (!cateId) {
+            const links = await this.page.locator('a[href*="cate_id="]').all();
+            for (const link of links) {
+                const text = ((await link.textContent()) || '').trim();
+                if (text === catStr) {
+                    const m = ((await link.getAttribute('href')) || '').match(/cate_id=(\d+)/);
+                    if (m) { cateId = m[1]; break; }
+                }
+            }
+        }
+        if (!cateId) {
+            throw new Error(`未找到分类: ${catStr}`);
+        }
+        const url = new URL(this.baseUrl);
+        url.searchParams.set('cate_id', cateId);
+        await this.page.goto(url.href, { referer: "https://xz.aliyun.com/", waitUntil: 'domcontentloaded' });
+        this._selectedCateId = cateId;
+        this._categoryName = isId ? '' : catStr;
+    }
+
+    // 按分类逐个爬取；未指定分类时直接爬取当前板块
+    async scrapeCategories() {
+        if (!this.categories.length) {
+            await this.scrapeArticles();
+            return;
+        }
+        for (const category of this.categories) {
+            if (this.aborted) break;
+            try {
+                await this.selectCategory(category);
+            } catch (error) {
+                console.log(`切换分类失败，跳过: ${error.message}`);
+                continue;
+            }
+            await this.scrapeArticles();
+            this._categoryName = null;
+        }
+    }
+
     async scrapeArticles() {
         console.log('开始爬取文章...');
 
@@ -97,89 +224,32 @@ class XianzhiCrawler {
                 break;
             }
 
+            // 记录列表页上出现过的文章（过滤前），用于识别从列表中消失的已归档文章
+            this.recordListedArticles(articlesOnPage);
+
             // 筛选文章（支持时间范围）
-            const filteredArticles = articlesOnPage.filter(article => {
-                if (!article.publishTime) return false;
-                try {
-                    const articleDate = new Date(article.publishTime);
-                    let include = true;
-                    if (this.startDate) include = include && (articleDate >= this.startDate);
-                    if (this.endDate) include = include && (articleDate <= this.endDate);
-                    if (!this.startDate && !this.endDate && this.targetDate) {
-                        include = include && (articleDate > this.targetDate);
-                    }
-                    return include;
-                } catch (error) {
-                    console.log(`解析时间失败: ${article.publishTime}`);
-                    return false;
-                }
-            });
+            const dateMatched = this.filterByDate(articlesOnPage);
 
-            if (this.fetchFullContent) {
-                // 使用简单并发池抓取详情
-                const poolSize = Math.max(1, this.concurrency);
-                let idx = 0;
-                const runOne = async () => {
-                    while (idx < filteredArticles.length && !this.aborted) {
-                        const i = idx++;
-                        const item = filteredArticles[i];
-                        // 去重（优先使用 link 作为 key）
-                        const key = (item.link && item.link.trim()) || `${(item.title || '').trim()}|${item.publishTime || ''}`;
-                        if (this._seenKeys.has(key)) {
-                            console.log('🔁 重复文章，跳过抓取与统计');
-                            continue;
-                        }
-                        try {
-                            console.log(`获取第 ${i + 1}/${filteredArticles.length} 篇文章的完整内容...`);
-                            const articleData = await this.fetchArticleContentWithRetry(item.link, 1);
-                            item.content = articleData.content;
-                            if (articleData.title && articleData.title !== '未知标题' && articleData.title !== '访问失败') {
-                                item.title = articleData.title;
-                            }
-                            const savedFileName = this.aborted ? null : await this.saveArticleImmediately(item, this.articles.length + 1);
-                            if (savedFileName && !this.aborted) {
-                                // 最终入库前再次去重
-                                if (!this._seenKeys.has(key)) {
-                                    this._seenKeys.add(key);
-                                    this.articles.push(item);
-                                } else {
-                                    console.log('🔁 重复文章，跳过统计');
-                                }
-                                await this.maybeUpdateSummaryFile();
-                                console.log(`📊 已统计: 第 ${this.articles.length} 篇文章`);
-                            }
-                        } catch (error) {
-                            if (this.aborted) { break; }
-                            console.log(`获取文章内容失败: ${error.message}`);
-                            this.failures.push({
-                                link: item.link,
-                                title: (item.title || '').trim() || '未知标题',
-                                error: String(error && error.message ? error.message : error)
-                            });
-                        }
-                    }
-                };
-                const workers = Array.from({ length: poolSize }, () => runOne());
-                await Promise.all(workers);
-            } else {
-                for (let i = 0; i < filteredArticles.length; i++) {
-                    if (this.aborted) { console.log('已中断，停止当前页剩余文章处理'); break; }
-                    const item = filteredArticles[i];
-                    const key = (item.link && item.link.trim()) || `${(item.title || '').trim()}|${item.publishTime || ''}`;
-                    if (this._seenKeys.has(key)) {
-                        console.log('🔁 重复文章，跳过抓取与统计');
-                        continue;
-                    }
-                    const savedFileName = await this.saveArticleImmediately(item, this.articles.length + 1);
-                    if (savedFileName && !this.aborted) {
-                        this._seenKeys.add(key);
-                        this.articles.push(item);
-                        await this.maybeUpdateSummaryFile();
-                        console.log(`📊 已统计: 第 ${this.articles.length} 篇文章`);
-                    }
+            // 关键词/正则/作者/分类过滤，在抓取详情前进行
+            const filteredArticles = this.applyListFilters(dateMatched);
+
+            // 增量模式：跳过清单中已存在的文章；整页均为已知文章时，处理完本页后停止翻页
+            let reachedKnown = false;
+            if (this.incremental) {
+                const knownCount = articlesOnPage.filter(article => this.isKnownArticle(article)).length;
+                reachedKnown = knownCount === articlesOnPage.length;
+                const before = filteredArticles.length;
+                for (let i = filteredArticles.length - 1; i >= 0; i--) {
+                    if (this.isKnownArticle(filteredArticles[i])) filteredArticles.splice(i, 1);
+                }
+                if (before !== filteredArticles.length) {
+                    this.skipStats.known += before - filteredArticles.length;
+                    console.log(`⏭️ 增量模式：跳过已归档文章 ${before - filteredArticles.length} 篇`);
                 }
             }
 
+            await this.processArticles(filteredArticles);
+
             totalArticles += articlesOnPage.length;
             console.log(`第 ${currentPage} 页: 找到 ${articlesOnPage.length} 篇文章，符合条件 ${filteredArticles.length} 篇`);
             console.log(`累计: 总文章 ${totalArticles} 篇，已保存 ${this.articles.length} 篇`);
@@ -209,6 +279,11 @@ class XianzhiCrawler {
                 break;
             }
 
+            if (reachedKnown) {
+                console.log('增量模式：本页文章均已归档，停止翻页');
+                break;
+            }
+
             if (this.aborted) { console.log('已中断，不再翻页'); break; }
 
             hasMorePages = await this.goToNextPage();
@@ -220,6 +295,193 @@ class XianzhiCrawler {
         console.log(`\n爬取完成！共获取 ${this.articles.length} 篇文章`);
     }
 
+    filterByDate(articles) {
+        const matched = articles.filter(article => {
+            if (!article.publishTime) return false;
+            try {
+                const articleDate = new Date(article.publishTime);
+                let include = true;
+                if (this.startDate) include = include && (articleDate >= this.startDate);
+                if (this.endDate) include = include && (articleDate <= this.endDate);
+                if (!this.startDate && !this.endDate && this.targetDate) {
+                    include = include && (articleDate > this.targetDate);
+                }
+                return include;
+            } catch (error) {
+                console.log(`解析时间失败: ${article.publishTime}`);
+                return false;
+            }
+        });
+        this.skipStats.date += articles.length - matched.length;
+        return matched;
+    }
+
+    // ============ List filters ============
+    normalizeFilters(filters = {}) {
+        const list = (v) => [].concat(v || [])
+            .filter(x => x !== true)
+            .flatMap(x => String(x).split(','))
+            .map(x => x.trim())
+            .filter(Boolean);
+        const regex = (v, name) => {
+            if (!v || v === true) return null;
+            try {
+                return new RegExp(String(v), 'i');
+            } catch (error) {
+                throw new Error(`无效的${name}: ${v} (${error.message})`);
+            }
+        };
+        return {
+            includeKeywords: list(filters.includeKeywords),
+            excludeKeywords: list(filters.excludeKeywords),
+            titleRegex: regex(filters.titleRegex, '标题正则'),
+            excludeTitleRegex: regex(filters.excludeTitleRegex, '排除标题正则'),
+            includeAuthors: list(filters.includeAuthors),
+            excludeAuthors: list(filters.excludeAuthors),
+            includeCategories: list(filters.includeCategories),
+            excludeCategories: list(filters.excludeCategories)
+        };
+    }
+
+    hasActiveFilters() {
+        return Object.values(this.filters).some(v => Array.isArray(v) ? v.length > 0 : !!v);
+    }
+
+    describeFilters() {
+        const f = this.filters;
+        const parts = [];
+        if (f.includeKeywords.length) parts.push(`标题包含 ${f.includeKeywords.join('/')}`);
+        if (f.excludeKeywords.length) parts.push(`标题排除 ${f.excludeKeywords.join('/')}`);
+        if (f.titleRegex) parts.push(`标题匹配 ${f.titleRegex}`);
+        if (f.excludeTitleRegex) parts.push(`标题不匹配 ${f.excludeTitleRegex}`);
+        if (f.includeAuthors.length) parts.push(`作者 ${f.includeAuthors.join('/')}`);
+        if (f.excludeAuthors.length) parts.push(`排除作者 ${f.excludeAuthors.join('/')}`);
+        if (f.includeCategories.length) parts.push(`分类 ${f.includeCategories.join('/')}`);
+        if (f.excludeCategories.length) parts.push(`排除分类 ${f.excludeCategories.join('/')}`);
+        return parts.join('；');
+    }
+
+    // 返回被过滤的原因（keyword / author / category），通过则返回 null
+    getFilterRejection(article) {
+        const f = this.filters;
+        const title = (article.title || '').toLowerCase();
+        const author = (article.author || '').trim().toLowerCase();
+        const category = (article.category || '').trim().toLowerCase();
+        const lower = (arr) => arr.map(x => x.toLowerCase());
+
+        if (f.includeKeywords.length && !lower(f.includeKeywords).some(k => title.includes(k))) return 'keyword';
+        if (f.excludeKeywords.length && lower(f.excludeKeywords).some(k => title.includes(k))) return 'keyword';
+        if (f.titleRegex && !f.titleRegex.test(article.title || '')) return 'keyword';
+        if (f.excludeTitleRegex && f.excludeTitleRegex.test(article.title || '')) return 'keyword';
+        if (f.includeAuthors.length && !lower(f.includeAuthors).includes(author)) return 'author';
+        if (f.excludeAuthors.length && lower(f.excludeAuthors).includes(author)) return 'author';
+        if (f.includeCategories.length && !lower(f.includeCategories).includes(category)) return 'category';
+        if (f.excludeCategories.length && lower(f.excludeCategories).includes(category)) return 'category';
+        return null;
+    }
+
+    applyListFilters(articles) {
+        if (!this.hasActiveFilters()) return articles;
+        const kept = [];
+        for (const article of articles) {
+            const reason = this.getFilterRejection(article);
+            if (reason) {
+                this.skipStats[reason]++;
+            } else {
+                kept.push(article);
+            }
+        }
+        if (kept.length !== articles.length) {
+            console.log(`🔍 过滤条件跳过 ${articles.length - kept.length} 篇`);
+        }
+        return kept;
+    }
+
+    // 详情抓取与保存流水线（列表页、失败重试等入口共用）
+    async processArticles(items) {
+        if (this.fetchFullContent) {
+            // 使用简单并发池抓取详情
+            const poolSize = Math.max(1, this.concurrency);
+            let idx = 0;
+            const runOne = async () => {
+                while (idx < items.length && !this.aborted) {
+                    const i = idx++;
+                    const item = items[i];
+                    // 去重（优先使用 link 作为 key）
+                    const key = this.getArticleKey(item);
+                    if (this._seenKeys.has(key)) {
+                        console.log('🔁 重复文章，跳过抓取与统计');
+                        continue;
+                    }
+                    try {
+                        console.log(`获取第 ${i + 1}/${items.length} 篇文章的完整内容...`);
+                        const articleData = await this.fetchArticleContentWithRetry(item.link);
+                        item.content = articleData.content;
+                        item.html = articleData.html;
+                        if (articleData.title && articleData.title !== '未知标题' && articleData.title !== '访问失败') {
+                            item.title = articleData.title;
+                        }
+                        // 列表页未提供的元信息以详情页为准
+                        for (const field of ['author', 'authorUrl', 'category', 'publishTime', 'updatedTime']) {
+                            if (!item[field] && articleData[field]) item[field] = articleData[field];
+                        }
+                        // 计数以详情页为准（更新更及时），详情页缺失时保留列表页数据
+                        for (const field of ['views', 'comments', 'likes', 'favorites']) {
+                            if (articleData[field] !== null && articleData[field] !== undefined) item[field] = articleData[field];
+                        }
+                        if ((!item.tags || !item.tags.length) && articleData.tags && articleData.tags.length) item.tags = articleData.tags;
+                        if (!item.articleId) item.articleId = this.extractArticleId(item.link);
+                        if (!item.authorId && item.authorUrl) item.authorId = this.extractAuthorId(item.authorUrl);
+                        const savedFileName = this.aborted ? null : await this.saveArticleImmediately(item, this.articles.length + 1);
+                        if (savedFileName && !this.aborted) {
+                            item.fileName = savedFileName;
+                            this.recordManifestEntry(item);
+                            delete item.html; // 已归档到磁盘，不在内存中长期保留
+                            // 最终入库前再次去重
+                            if (!this._seenKeys.has(key)) {
+                                this._seenKeys.add(key);
+                                this.articles.push(item);
+                            } else {
+                                console.log('🔁 重复文章，跳过统计');
+                            }
+                            await this.maybeUpdateSummaryFile();
+                            console.log(`📊 已统计: 第 ${this.articles.length} 篇文章`);
+                        }
+                    } catch (error) {
+                        if (this.aborted) { break; }
+                        console.log(`获取文章内容失败: ${error.message}`);
+                        this.failures.push({
+                            link: item.link,
+                            title: (item.title || '').trim() || '未知标题',
+                            error: String(error && error.message ? error.message : error)
+                        });
+                    }
+                }
+            };
+            const workers = Array.from({ length: poolSize }, () => runOne());
+            await Promise.all(workers);
+        } else {
+            for (let i = 0; i < items.length; i++) {
+                if (this.aborted) { console.log('已中断，停止当前页剩余文章处理'); break; }
+                const item = items[i];
+                const key = this.getArticleKey(item);
+                if (this._seenKeys.has(key)) {
+                    console.log('🔁 重复文章，跳过抓取与统计');
+                    continue;
+                }
+                const savedFileName = await this.saveArticleImmediately(item, this.articles.length + 1);
+                if (savedFileName && !this.aborted) {
+                    item.fileName = savedFileName;
+                    this.recordManifestEntry(item);
+                    this._seenKeys.add(key);
+                    this.articles.push(item);
+                    await this.maybeUpdateSummaryFile();
+                    console.log(`📊 已统计: 第 ${this.articles.length} 篇文章`);
+                }
+            }
+        }
+    }
+
     async fetchArticleContent(articleUrl) {
         try {
             if (this.aborted) {
@@ -281,16 +543,25 @@ class XianzhiCrawler {
                 console.log('提取文章标题失败:', error.message);
             }
             
+            // 提取详情页元信息（作者/分类/发布时间），供无列表页信息的入口（如 --url）使用
+            let meta = {};
+            try {
+                meta = await this.extractArticleMeta(articlePage);
+            } catch (error) {
+                console.log('提取文章元信息失败:', error.message);
+            }
+            
             // 提取文章内容 - 获取HTML并转换为Markdown
             let content = '';
+            let html = '';
             try {
                 // 优先使用 ne-viewer-body 获取HTML内容
                 const contentElement = articlePage.locator('.ne-viewer-body').first();
 
                 const htmlContent = await contentElement.innerHTML();
 
-                // 将html内容保存至本地以供调试
-                // fs.writeFileSync(path.join(__dirname, 'debug_article.html'), htmlContent, 'utf8');
+                // 原始HTML随文章归档（.html.gz），便于转换器修复后离线重新转换
+                html = htmlContent || '';
 
                 if (htmlContent && htmlContent.length > 100) {
                     // console.log('成功获取 ne-viewer-body HTML内容');
@@ -308,7 +579,18 @@ class XianzhiCrawler {
             await articlePage.close();
             return {
                 title: title.trim() || '未知标题',
-                content: content.trim() || '无法获取文章内容'
+                content: content.trim() || '无法获取文章内容',
+                author: meta.author || '',
+                authorUrl: meta.authorUrl || '',
+                views: meta.views ?? null,
+                comments: meta.comments ?? null,
+                likes: meta.likes ?? null,
+                favorites: meta.favorites ?? null,
+                tags: meta.tags || [],
+                updatedTime: meta.updatedTime || '',
+                category: meta.category || '',
+                publishTime: meta.publishTime || '',
+                html
             };
             
         } catch (error) {
@@ -322,8 +604,96 @@ class XianzhiCrawler {
         }
     }
 
+    async extractArticleMeta(articlePage) {
+        // doc 参数便于在测试中传入 JSDOM 文档；在页面中执行时使用页面的 document
+        return articlePage.evaluate((doc = document) => {
+            const text = (el) => (el && el.textContent ? el.textContent.trim() : '');
+            const body = doc.querySelector('.ne-viewer-body');
+            const outsideBody = (el) => !body || !body.contains(el);
+            // 从标题所在容器向上查找包含作者链接的信息区，避免误取正文或侧栏中的链接
+            const h1 = doc.querySelector('h1');
+            let scope = h1 ? h1.parentElement : doc.body;
+            while (scope && scope !== doc.body && !scope.querySelector('a[href*="/users/"]')) {
+                scope = scope.parentElement;
+            }
+            scope = scope || doc.body;
+
+            const authorLink = Array.from(scope.querySelectorAll('a[href*="/users/"]')).find(outsideBody);
+            const author = authorLink ? (text(authorLink).split('\n').map(s => s.trim()).filter(Boolean)[0] || '') : '';
+            const authorUrl = authorLink ? authorLink.href : '';
+            const cateLink = Array.from(scope.querySelectorAll('a[href*="cate_id="]')).find(outsideBody)
+                || Array.from(doc.querySelectorAll('a[href*="cate_id="]')).find(outsideBody);
+            const category = text(cateLink);
+
+            let publishTime = '';
+            const infoText = body && scope.contains(body)
+                ? text(scope).split(text(body))[0]
+                : text(scope);
+            const m = infoText.match(/(\d{4}-\d{1,2}-\d{1,2}\s+\d{1,2}:\d{2})/);
+            if (m) publishTime = m[1];
+
+            // 点赞/收藏/评论等计数通常位于正文外的操作栏
+            const statsText = Array.from(doc.querySelectorAll('[class*="like"], [class*="collect"], [class*="favor"], [class*="comment"], [class*="view"]'))
+                .filter(outsideBody)
+                .map(el => text(el))
+                .filter(t => t && t.length < 40)
+                .join(' · ');
+
+            // 标签：链接路径为 /tag/… 或带 tag 查询参数，或类名是独立的 tag/tags 词（tag、article-tag、tag-item 等），
+            // 不能只按子串匹配，否则 /stage、vintage、tagline 之类的元素也会被当作标签
+            const isTagElement = (el) => {
+                const href = el.tagName === 'A' ? el.getAttribute('href') : null;
+                if (href) {
+                    try {
+                        const url = new URL(href, doc.baseURI);
+                        if (/(?:^|\/)tags?\/[^/]+/i.test(url.pathname)) return true;
+                        if (['tag', 'tags', 'tag_id', 'tagId'].some(key => url.searchParams.has(key))) return true;
+                    } catch (e) {}
+                }
+                return Array.from(el.classList).some(name => /^(?:[a-z0-9]+[-_])*tags?(?:[-_](?:item|link|name))?$/i.test(name));
+            };
+            const tags = Array.from(new Set(
+                Array.from(doc.querySelectorAll('a[href*="tag"], [class*="tag"]'))
+                    .filter(el => isTagElement(el) && outsideBody(el) && el.children.length === 0)
+                    .map(el => text(el).replace(/^#/, '').trim())
+                    .filter(t => t && t.length <= 30)
+            ));
+
+            return { author, authorUrl, category, publishTime, statsText: `${infoText} · ${statsText}`, tags };
+        }).then(meta => ({ ...meta, ...this.parseArticleStats(meta.statsText) }));
+    }
+
+    // 从“· 174浏览 · 3评论 · 更新于 ...”一类文本中解析计数与更新时间
+    parseArticleStats(text) {
+        const source = String(text || '');
+        const toCount = (raw) => {
+            const m = String(raw).match(/^([\d.]+)\s*([kKwW万])?$/);
+            if (!m) return null;
+            const base = parseFloat(m[1]);
+            const unit = m[2] ? m[2].toLowerCase() : '';
+            const factor = unit === 'k' ? 1000 : (unit === 'w' || unit === '万') ? 10000 : 1;
+            return Math.round(base * factor);
+        };
+        const find = (labels) => {
+            // 数字前不能是数字、冒号、连字符等，后面不能紧跟日期/时间分隔符，避免把 "2025-09-26 08:49 评论" 中的 49 当作计数
+            const num = '(\\d[\\d.]*[kKwW万]?)(?![\\d.:：\\-/])';
+            const before = new RegExp(`(?<![\\d.:：\\-/])${num}[ \\u00A0]?(?:${labels})`);
+            const after = new RegExp(`(?:${labels})\\s*[:：]?\\s*${num}`);
+            const m = source.match(before) || source.match(after);
+            return m ? toCount(m[1]) : null;
+        };
+        const updated = source.match(/(?:更新于|更新时间|最后更新|修改于)\s*[:：]?\s*(\d{4}-\d{1,2}-\d{1,2}(?:\s+\d{1,2}:\d{2})?)/);
+        return {
+            views: find('浏览|阅读'),
+            comments: find('评论'),
+            likes: find('点赞|赞(?![助赏])'),
+            favorites: find('收藏'),
+            updatedTime: updated ? updated[1] : ''
+        };
+    }
+
     // 带重试的获取文章内容
-    async fetchArticleContentWithRetry(articleUrl, retries = 1, baseDelay = 800) {
+    async fetchArticleContentWithRetry(articleUrl, retries = this.retries, baseDelay = this.retryBaseDelay) {
         let attempt = 0;
         let lastErr = null;
         while (attempt <= retries && !this.aborted) {
@@ -350,7 +720,14 @@ class XianzhiCrawler {
     async extractArticlesFromPage() {
         console.log('提取当前页面的文章...');
         if (this.aborted) return [];
-        await this.page.waitForSelector('li[data-cateid="26"].selected', { timeout: 10000 });
+        if (this._selectedCateId) {
+            try {
+                await this.page.waitForSelector(`li[data-cateid="${this._selectedCateId}"].selected`, { timeout: 10000 });
+            } catch (error) {
+                // 通过 cate_id 链接进入的分类不一定有对应的选中标签
+                console.log(`未检测到 cate_id=${this._selectedCateId} 的选中标签，继续提取`);
+            }
+        }
         await this.page.waitForSelector('#news_list .news_item', { timeout: 10000 });
         // 尝试多个选择器以适应不同页面结构
         const articleSelectors = [
@@ -431,10 +808,12 @@ class XianzhiCrawler {
                 console.log('提取链接失败:', error.message);
             }
             
-            // 提取发布时间
+            // 提取发布时间与计数
             let publishTime = '';
+            let stats = {};
             try {
                 const fullText = await element.textContent();
+                stats = this.parseArticleStats(fullText);
                 // 匹配"· 174浏览 · 2025-09-26 08:49"格式
                 const timePattern = /·\s*\d+浏览\s*·\s*(\d{4}-\d{1,2}-\d{1,2}\s+\d{1,2}:\d{2})/;
                 const match = fullText.match(timePattern);
@@ -456,18 +835,24 @@ class XianzhiCrawler {
             
             // 提取分类
             let category = '';
+            let categoryId = '';
             try {
                 const categoryLink = element.locator('a[href*="cate_id="]').first();
                 if (await categoryLink.isVisible({ timeout: 1000 })) {
                     const categoryText = await categoryLink.textContent();
                     category = categoryText ? categoryText.trim() : '';
+                    const m = ((await categoryLink.getAttribute('href')) || '').match(/cate_id=(\d+)/);
+                    categoryId = m ? m[1] : '';
                 }
             } catch (error) {
                 console.log('提取分类失败:', error.message);
             }
+            if (!category && this._categoryName) category = this._categoryName;
+            if (!categoryId && this._selectedCateId && this._selectedCateId !== this._boardCateId) categoryId = this._selectedCateId;
             
             // 提取作者信息
             let author = '';
+            let authorUrl = '';
             try {
                 const authorLink = element.locator('a[href*="/users/"]').first();
                 if (await authorLink.isVisible({ timeout: 1000 })) {
@@ -477,6 +862,10 @@ class XianzhiCrawler {
                         const lines = authorText.split('\n').filter(line => line.trim());
                         author = lines[0] ? lines[0].trim() : '';
                     }
+                    const href = await authorLink.getAttribute('href');
+                    if (href) {
+                        authorUrl = new URL(href, this.baseUrl).href;
+                    }
                 }
             } catch (error) {
                 console.log('提取作者失败:', error.message);
@@ -488,7 +877,18 @@ class XianzhiCrawler {
                     link,
                     publishTime,
                     category,
+                    categoryId,
+                    board: this._boardName || '',
                     author,
+                    authorId: this.extractAuthorId(authorUrl),
+                    authorUrl,
+                    articleId: this.extractArticleId(link),
+                    views: stats.views ?? null,
+                    comments: stats.comments ?? null,
+                    likes: stats.likes ?? null,
+                    favorites: stats.favorites ?? null,
+                    tags: [],
+                    updatedTime: stats.updatedTime || '',
                     extractedAt: new Date().toISOString()
                 };
             }
@@ -547,23 +947,43 @@ class XianzhiCrawler {
 
     async saveArticleImmediately(article, index) {
         try {
-            // 确保papers文件夹存在
-            const papersDir = path.join(__dirname, 'papers');
+            // 确保papers文件夹（及布局子目录）存在
+            const papersDir = this.getPapersDir();
             if (!fs.existsSync(papersDir)) {
                 fs.mkdirSync(papersDir, { recursive: true });
                 console.log(`创建文件夹: ${papersDir}`);
             }
             
-            const fileName = this.generateFileName(article, index);
+            const fileName = this.resolveFileName(article, index);
             const filePath = path.join(papersDir, fileName);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
             const articleMarkdown = this.generateSingleArticleMarkdown(article);
-            // 已存在则跳过写入，避免重复 I/O
-            if (fs.existsSync(filePath)) {
+            const known = this.manifest.articles[this.getArticleKey(article)];
+            const contentHash = article.content ? this.sha1(article.content) : '';
+            const contentChanged = !!(known && known.contentHash && contentHash && known.contentHash !== contentHash);
+            // 已存在且内容未变化则跳过写入，避免重复 I/O；内容变化时记录差异并覆盖（保留已本地化的图片）
+            if (fs.existsSync(filePath) && !contentChanged) {
                 console.log(`⏭️ 已存在，跳过写入: ${fileName}`);
+            } else if (contentChanged && fs.existsSync(filePath)) {
+                this.recordContentChange(known, article, filePath, fileName);
+                fs.writeFileSync(filePath, this.applyLocalImages(articleMarkdown, filePath), 'utf8');
+                console.log(`♻️ 内容已更新: ${fileName}`);
             } else {
                 fs.writeFileSync(filePath, articleMarkdown, 'utf8');
                 console.log(`✅ 已保存: ${fileName}`);
             }
+            if (!known) {
+                this.changes.added.push(this.describeChangedArticle(article, fileName));
+            }
+            if (this.archiveHtml && article.html) {
+                fs.writeFileSync(this.getHtmlArchivePath(filePath), zlib.gzipSync(Buffer.from(article.html, 'utf8')));
+            }
+            if (this.sqlite) {
+                this.saveArticleToDb({ ...article, fileName });
+            }
+            if (this.format === 'jsonl') {
+                this.appendJsonlRecord({ ...article, fileName });
+            }
             
             return fileName;
         } catch (error) {
@@ -581,22 +1001,21 @@ class XianzhiCrawler {
 
     async updateSummaryFile() {
         try {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const summaryPath = path.join(__dirname, 'SUMMARY-REALTIME.md');
-            
-            // 生成已保存文章的文件名列表
-            const savedFiles = [];
-            for (let i = 0; i < this.articles.length; i++) {
-                const article = this.articles[i];
-                const fileName = this.generateFileName(article, i + 1);
-                savedFiles.push(fileName);
-            }
-            
-            // 生成汇总内容
-            const summaryContent = this.generateIndexMarkdown(savedFiles);
+            const summaryPath = path.join(this.outDir, 'SUMMARY-REALTIME.md');
+
+            // 实时汇总基于完整清单（包含历史运行归档的文章），而不仅是本次运行
+            this.saveManifest();
+            const summaryContent = this.generateIndexMarkdown(this.getManifestArticles(), {}, { wholeArchive: true });
             
             // 写入汇总文件（实时更新）
             fs.writeFileSync(summaryPath, summaryContent, 'utf8');
+
+            // hugo/hexo 额外生成站点内的索引页
+            const toolIndexPath = this.getToolIndexPath();
+            if (toolIndexPath) {
+                fs.mkdirSync(path.dirname(toolIndexPath), { recursive: true });
+                fs.writeFileSync(toolIndexPath, this.generateToolIndex(this.getManifestArticles()), 'utf8');
+            }
             
             // 静默更新，不打印太多日志以免干扰主要进度
         } catch (error) {
@@ -607,182 +1026,2706 @@ class XianzhiCrawler {
     async saveResults() {
         console.log(`\n📋 生成最终汇总报告...`);
         
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
         if (this.articles.length === 0) {
             console.log('⚠️ 没有成功处理的文章');
+            // 没有新文章时同样重建全量索引（例如增量运行无更新）
+            await this.rebuildSummary();
+            this.writeChangeReport(timestamp);
+            this.exportFailures(timestamp);
             return;
         }
 
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        
-        // 生成已保存文章的文件名列表
-        const savedFiles = [];
-        for (let i = 0; i < this.articles.length; i++) {
-            const article = this.articles[i];
-            const fileName = this.generateFileName(article, i + 1);
-            savedFiles.push(fileName);
-        }
+        // 刷新实时汇总与清单，确保最后几篇也被记录
+        await this.maybeUpdateSummaryFile(true);
         
-        // 创建最终的带时间戳的索引文件
-        const finalIndexPath = path.join(__dirname, 'SUMMARY-' + timestamp + '.md');
-        const indexContent = this.generateIndexMarkdown(savedFiles);
+        // 创建最终的带时间戳的索引文件（仅本次运行）
+        const finalIndexPath = path.join(this.outDir, 'SUMMARY-' + timestamp + '.md');
+        const indexContent = this.generateIndexMarkdown(this.articles);
         fs.writeFileSync(finalIndexPath, indexContent, 'utf8');
         
         console.log(`\n🎉 爬取任务完成！`);
-        console.log(`📊 总计处理并保存: ${savedFiles.length} 篇文章`);
-        console.log(`📁 文章保存位置: papers/ 文件夹`);
-        console.log(`📋 实时汇总文件: SUMMARY-REALTIME.md`);
+        console.log(`📊 总计处理并保存: ${this.articles.length} 篇文章`);
+        console.log(`📁 文章保存位置: ${this.getPapersDir()}`);
+        console.log(`📋 实时汇总文件: SUMMARY-REALTIME.md（清单共 ${Object.keys(this.manifest.articles).length} 篇）`);
         console.log(`📋 最终汇总文件: ${path.basename(finalIndexPath)}`);
+
+        // 重建覆盖全部归档的索引
+        await this.rebuildSummary();
+
+        // 与上次归档相比的变更报告
+        this.writeChangeReport(timestamp);
         
         // 生成统计报告
         this.generateReport();
 
         // 输出失败列表
-        if (this.failures && this.failures.length) {
-            const failPath = path.join(__dirname, `failures-${timestamp}.json`);
-            fs.writeFileSync(failPath, JSON.stringify(this.failures, null, 2), 'utf8');
-            console.log(`⚠️ 抓取失败 ${this.failures.length} 条，已导出: ${path.basename(failPath)}`);
-        }
+        this.exportFailures(timestamp);
     }
 
-    generateFileName(article, index) {
-        // 生成安全的文件名，只使用标题
-        const safeTitle = (article.title || '').trim();
-        let fileName = safeTitle
-            .replace(/[<>:"/\\|?*]/g, '') // 移除不安全字符
-            .replace(/[\s()（）\[\]【】]/g, '_') // 空格和括号替换为下划线
-            .replace(/_+/g, '_') // 多个下划线合并为一个
-                .replace(/^_|_$/g, '') // 移除开头和结尾的下划线
-            .substring(0, 80); // 限制长度
-        
-        // 确保文件名不为空
-        if (!fileName) {
-            const linkHash = this.sha1(String(article.link || 'unknown')).slice(0, 12);
-            fileName = `article_${linkHash}`;
-        }
-        
-        return `${fileName}.md`;
+    // ============ Change report ============
+    describeChangedArticle(article, fileName) {
+        return {
+            link: article.link || '',
+            articleId: article.articleId || this.extractArticleId(article.link) || '',
+            title: (article.title || '未知标题').trim(),
+            author: article.author || '',
+            category: article.category || '',
+            publishTime: article.publishTime || '',
+            fileName: fileName || article.fileName || ''
+        };
     }
 
-    generateSingleArticleMarkdown(article) {
-        const safeTitle = (article.title || '未知标题').trim();
-        let markdown = `# ${safeTitle}\n\n`;
-        
-        // 文章完整内容
-        if (article.content && article.content) {
-            
-            // 更好的内容格式化
-            let formattedContent = article.content;
-        
-            // 直接使用转换后的内容，避免对每行再包裹 ``` 造成代码块破碎
-            markdown += formattedContent + '\n\n';
-        } else {
-            markdown += `## 📖 文章内容\n\n`;
-            markdown += `> 暂无完整内容，请点击原文链接查看。\n\n`;
+    recordListedArticles(items) {
+        const scopeKey = `${this._boardName || ''}|${this._categoryName || ''}`;
+        let scope = this._listWindows.get(scopeKey);
+        if (!scope) {
+            scope = {
+                board: this._boardName || '',
+                category: this._categoryName || '',
+                categoryId: this._selectedCateId && this._selectedCateId !== this._boardCateId ? this._selectedCateId : '',
+                links: new Set(),
+                from: null,
+                to: null
+            };
+            this._listWindows.set(scopeKey, scope);
+        }
+        for (const item of items) {
+            scope.links.add(this.getArticleKey(item));
+            const t = new Date(item.publishTime).getTime();
+            if (Number.isNaN(t)) continue;
+            if (scope.from === null || t < scope.from) scope.from = t;
+            if (scope.to === null || t > scope.to) scope.to = t;
         }
-        
-        // 添加页脚
-        markdown += `---\n\n`;
-        markdown += `> 本文档由先知社区爬虫自动生成  \n`;
-        markdown += `> 原文链接: ${article.link}  \n`;
-        markdown += `> 爬取时间: ${new Date(article.extractedAt).toLocaleString('zh-CN')}  \n`;
-        
-        // 折叠连续多个“空行”（空行可包含空白符和不可见字符，如零宽空格、NBSP、BOM 等）为一个空行，且跳过代码块
-        const parts = markdown.split(/(```[\s\S]*?```)/g);
-        const blankLikeRun = /(?:^[\s\u00A0\u3000\u200B\u200C\u200D\u200E\u200F\u2060\uFEFF]*\r?\n){2,}/gm;
-        const normalizedMarkdown = parts
-            .map(p => p.startsWith('```')
-            ? p
-            : p
-                .replace(/\r\n?/g, '\n')      // 统一换行
-                .replace(blankLikeRun, '\n\n') // 折叠“空行”
-            )
-            .join('');
-        return normalizedMarkdown;
     }
 
-    generateIndexMarkdown(savedFiles) {
-        // 按发布时间倒序排列
-        const sortedArticles = this.articles.sort((a, b) => 
-            new Date(b.publishTime) - new Date(a.publishTime)
-        );
-
-        let markdown = `# 先知社区文章合集\n\n`;
-        markdown += `> 🕒 爬取时间: ${new Date().toLocaleString('zh-CN')}\n`;
-        markdown += `> 📊 文章数量: ${this.articles.length} 篇\n`;
-        const rangeDesc = (() => {
-            if (this.startDate && this.endDate) return `${this.startDate.toISOString().slice(0,10)} 至 ${this.endDate.toISOString().slice(0,10)}`;
-            if (this.startDate) return `${this.startDate.toISOString().slice(0,10)} 之后`;
-            if (this.endDate) return `截至 ${this.endDate.toISOString().slice(0,10)}`;
-            if (this.targetDate) return `${this.targetDate.toISOString().slice(0,10)} 之后`;
-            return `未限制`;
-        })();
-        markdown += `> 📅 时间范围: ${rangeDesc}\n`;
-        markdown += `> 🔗 来源: [先知社区](${this.baseUrl})\n\n`;
+    // 清单中发布时间落在本次列表页覆盖的时间窗口内、却没有出现在列表中的文章
+    findDisappearedArticles() {
+        const removed = [];
+        // 本次运行处理过的文章不算消失
+        const seen = new Set(this.articles.map(article => this.getArticleKey(article)));
+        for (const scope of this._listWindows.values()) {
+            if (scope.from === null) continue;
+            for (const [key, entry] of Object.entries(this.manifest.articles)) {
+                if (seen.has(key) || scope.links.has(key)) continue;
+                if (scope.category) {
+                    if (entry.category !== scope.category && (!scope.categoryId || entry.categoryId !== scope.categoryId)) continue;
+                } else if (entry.board && scope.board && entry.board !== scope.board) {
+                    continue;
+                }
+                const t = new Date(entry.publishTime).getTime();
+                // 窗口下界不含：最后一页末尾可能有同一时刻的文章未被翻到
+                if (Number.isNaN(t) || t <= scope.from || t > scope.to) continue;
+                seen.add(key);
+                removed.push({ ...this.describeChangedArticle(entry), crawledAt: entry.crawledAt || '' });
+            }
+        }
+        return removed;
+    }
 
-        // 生成分类统计
-        const categoryStats = {};
-        this.articles.forEach(article => {
-            const cat = article.category || '未分类';
-            categoryStats[cat] = (categoryStats[cat] || 0) + 1;
+    recordContentChange(known, article, filePath, fileName) {
+        // 旧版本优先由旧的 HTML 归档重新转换（与新内容同样未做图片本地化），否则取磁盘上的 Markdown 正文
+        let previous = '';
+        try {
+            const html = this.readHtmlArchive(filePath);
+            if (html) previous = (this.convertHtmlToMarkdown(html) || '').trim();
+        } catch (error) {
+            console.log(`读取旧HTML归档失败: ${fileName} -> ${error.message}`);
+        }
+        if (!previous) previous = this.readArticleContent({ ...known, fileName });
+        this.changes.changed.push({
+            ...this.describeChangedArticle(article, fileName),
+            previousHash: known.contentHash,
+            contentHash: this.sha1(article.content),
+            previousCrawledAt: known.crawledAt || '',
+            diff: unifiedDiff(previous, String(article.content || '').trim(), `a/${fileName}`, `b/${fileName}`)
         });
+    }
 
-        markdown += `## 📊 分类统计\n\n`;
-        Object.entries(categoryStats)
-            .sort((a, b) => b[1] - a[1])
-            .forEach(([category, count]) => {
-                markdown += `- **${category}**: ${count} 篇\n`;
-            });
-        markdown += `\n---\n\n`;
+    writeChangeReport(timestamp) {
+        const removed = this.findDisappearedArticles();
+        const { added, changed } = this.changes;
+        const windows = Array.from(this._listWindows.values())
+            .filter(scope => scope.from !== null)
+            .map(scope => ({
+                board: scope.board,
+                category: scope.category,
+                from: new Date(scope.from).toISOString(),
+                to: new Date(scope.to).toISOString(),
+                listed: scope.links.size
+            }));
+        const report = { generatedAt: new Date().toISOString(), added, changed, removed, listWindows: windows };
+        const jsonPath = path.join(this.outDir, `CHANGES-${timestamp}.json`);
+        fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf8');
 
-        // 生成文章目录
-        markdown += `## 📚 文章列表\n\n`;
-        markdown += `| 序号 | 标题 | 分类 | 作者 | 发布时间 | 文件 |\n`;
-        markdown += `|------|------|------|------|----------|------|\n`;
-        
-        sortedArticles.forEach((article, index) => {
-            const fileName = this.generateFileName(article, index + 1);
-            const safeTitle = (article.title || '未知标题').trim();
-            const shortTitle = safeTitle.length > 50 ? 
-                safeTitle.substring(0, 50) + '...' : safeTitle;
-            
-            markdown += `| ${index + 1} | [${shortTitle}](papers/${fileName}) | ${article.category || '未分类'} | ${article.author || '未知'} | ${article.publishTime || '未知'} | [📄](papers/${fileName}) |\n`;
+        const link = (item) => item.fileName ? this.formatSummaryLink(item.fileName, item.title) : `[${item.title}](${item.link})`;
+        const meta = (item) => [item.publishTime, item.author, item.category].filter(Boolean).join(' · ');
+        let markdown = `# 先知社区归档变更报告\n\n`;
+        markdown += `> 🕒 生成时间: ${new Date().toLocaleString('zh-CN')}\n`;
+        markdown += `> 🆕 新增: ${added.length} 篇 · ✏️ 内容变化: ${changed.length} 篇 · 🗑️ 列表中消失: ${removed.length} 篇\n\n`;
+        markdown += `## 🆕 新增文章\n\n`;
+        markdown += added.length ? added.map(item => `- ${link(item)} · ${meta(item)}\n`).join('') : '无\n';
+        markdown += `\n## ✏️ 内容变化\n\n`;
+        if (!changed.length) markdown += '无\n';
+        changed.forEach(item => {
+            markdown += `### ${item.title}\n\n`;
+            markdown += `- 文件: ${link(item)}\n- 原文链接: ${item.link}\n- 哈希: \`${item.previousHash.slice(0, 12)}\` → \`${item.contentHash.slice(0, 12)}\`（上次归档 ${item.previousCrawledAt || '未知'}）\n\n`;
+            markdown += item.diff ? '```diff\n' + item.diff + '```\n\n' : '（仅空白差异）\n\n';
         });
-        
-        markdown += `\n---\n\n`;
-        markdown += `> 💡 提示: 点击标题或文件链接可以查看具体文章内容\n`;
-        
-        return markdown;
+        markdown += `## 🗑️ 从列表页消失的文章\n\n`;
+        if (!windows.length) {
+            markdown += '本次运行未翻阅列表页，未检测\n';
+        } else {
+            markdown += windows.map(w => `> 检测范围: ${[w.board, w.category].filter(Boolean).join(' / ') || '列表页'} ${w.from.slice(0, 10)} 至 ${w.to.slice(0, 10)}（列表中 ${w.listed} 篇）\n`).join('') + '\n';
+            markdown += removed.length ? removed.map(item => `- ${link(item)} · ${meta(item)} · ${item.link}\n`).join('') : '无\n';
+        }
+        const mdPath = path.join(this.outDir, `CHANGES-${timestamp}.md`);
+        fs.writeFileSync(mdPath, markdown, 'utf8');
+        console.log(`📝 变更报告: ${path.basename(mdPath)}（新增 ${added.length}，变化 ${changed.length}，消失 ${removed.length}）`);
+        return mdPath;
     }
 
-    generateMarkdownContent() {
-        // 按发布时间倒序排列
-        const sortedArticles = this.articles.sort((a, b) => 
-            new Date(b.publishTime) - new Date(a.publishTime)
-        );
+    exportFailures(timestamp) {
+        if (!this.failures || !this.failures.length) return null;
+        const failPath = path.join(this.outDir, `failures-${timestamp}.json`);
+        fs.writeFileSync(failPath, JSON.stringify(this.failures, null, 2), 'utf8');
+        console.log(`⚠️ 抓取失败 ${this.failures.length} 条，已导出: ${path.basename(failPath)}`);
+        return failPath;
+    }
 
-        let markdown = `# 先知社区文章合集\n\n`;
-        markdown += `> 🕒 爬取时间: ${new Date().toLocaleString('zh-CN')}\n`;
-        markdown += `> 📊 文章数量: ${this.articles.length} 篇\n`;
-        const rangeDesc = (() => {
-            if (this.startDate && this.endDate) return `${this.startDate.toISOString().slice(0,10)} 至 ${this.endDate.toISOString().slice(0,10)}`;
-            if (this.startDate) return `${this.startDate.toISOString().slice(0,10)} 之后`;
-            if (this.endDate) return `截至 ${this.endDate.toISOString().slice(0,10)}`;
-            if (this.targetDate) return `${this.targetDate.toISOString().slice(0,10)} 之后`;
-            return `未限制`;
-        })();
-        markdown += `> 📅 时间范围: ${rangeDesc}\n`;
-        markdown += `> 🔗 来源: [先知社区](${this.baseUrl})\n\n`;
+    // ============ Retry mode ============
+    loadFailureEntries(filePath) {
+        const resolved = path.resolve(filePath);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`失败列表文件不存在: ${resolved}`);
+        }
+        const data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        if (!Array.isArray(data)) {
+            throw new Error(`失败列表格式错误（应为数组）: ${resolved}`);
+        }
+        return data.filter(entry => entry && entry.link);
+    }
 
-        // 生成目录
-        markdown += `## 📋 目录\n\n`;
-        sortedArticles.forEach((article, index) => {
-            const safeTitle = (article.title || '未知标题').trim();
-            const fileName = this.generateFileName(article, index + 1);
-            markdown += `${index + 1}. [${safeTitle}](papers/${fileName})\n`;
+    async retryFailedArticles() {
+        const entries = this.loadFailureEntries(this.retryFailures);
+        console.log(`🔁 重试失败列表: ${path.basename(this.retryFailures)}，共 ${entries.length} 条`);
+        if (entries.length === 0) return;
+
+        // 以清单中已知的元信息为底，失败记录本身只有 link/title/error
+        const items = entries.map(entry => {
+            const known = this.manifest.articles[this.getArticleKey(entry)] || {};
+            return {
+                title: (entry.title && entry.title !== '未知标题') ? entry.title : (known.title || ''),
+                link: entry.link,
+                publishTime: entry.publishTime || known.publishTime || '',
+                category: entry.category || known.category || '',
+                author: entry.author || known.author || '',
+                extractedAt: new Date().toISOString()
+            };
         });
-        markdown += `\n---\n\n`;
 
-        // 生成分类统计
+        await this.processArticles(items);
+        console.log(`重试完成：成功 ${this.articles.length} 篇，仍失败 ${this.failures.length} 条`);
+    }
+
+    // ============ Author mode ============
+    normalizeAuthorProfile(input) {
+        const raw = String(input || '').trim();
+        if (!raw) return '';
+        if (/^https?:\/\//i.test(raw) || raw.startsWith('/users/')) {
+            return new URL(raw, this.baseUrl).href;
+        }
+        return new URL(`/users/${encodeURIComponent(raw)}`, this.baseUrl).href;
+    }
+
+    async extractAuthorArticlesFromPage() {
+        console.log('提取作者主页文章...');
+        if (this.aborted) return [];
+        await this.page.waitForSelector('a[href*="/news/"]', { timeout: 10000 });
+
+        // 主页若沿用 news_item 结构，则复用列表页的条目解析
+        const items = await this.page.locator('.news_item').all();
+        const articles = [];
+        for (let i = 0; i < items.length; i++) {
+            try {
+                const article = await this.extractArticleInfo(items[i]);
+                if (article && article.title) articles.push(article);
+            } catch (error) {
+                console.log(`提取第 ${i + 1} 个文章时出错: ${error.message}`);
+            }
+        }
+        if (articles.length > 0) return articles;
+
+        // 兜底：直接收集文章链接，并从链接所在条目中匹配发布时间
+        const raw = await this.page.evaluate(() => {
+            const seen = new Set();
+            const out = [];
+            for (const a of document.querySelectorAll('a[href*="/news/"]')) {
+                const href = a.href;
+                const title = (a.textContent || '').trim();
+                if (!/\/news\/\d+/.test(href) || seen.has(href) || title.length <= 5) continue;
+                seen.add(href);
+                let row = a.parentElement;
+                for (let depth = 0; row && depth < 4 && !/\d{4}-\d{1,2}-\d{1,2}/.test(row.textContent || ''); depth++) {
+                    row = row.parentElement;
+                }
+                const m = row ? (row.textContent || '').match(/(\d{4}-\d{1,2}-\d{1,2}\s+\d{1,2}:\d{2})/) : null;
+                out.push({ title, link: href, publishTime: m ? m[1] : '' });
+            }
+            return out;
+        });
+        return raw.map(entry => ({
+            ...entry,
+            category: '',
+            author: '',
+            extractedAt: new Date().toISOString()
+        }));
+    }
+
+    async crawlAuthor() {
+        const profileUrl = this.normalizeAuthorProfile(this.authorProfile);
+        const authorId = this.extractAuthorId(profileUrl);
+        console.log(`👤 爬取作者主页: ${profileUrl}`);
+        await this.page.goto(profileUrl, { referer: "https://xz.aliyun.com/", waitUntil: 'domcontentloaded' });
+
+        let authorName = '';
+        try {
+            const pageTitle = await this.page.title();
+            authorName = (pageTitle || '').replace(/-先知社区.*$/, '').trim();
+        } catch {}
+
+        let currentPage = 1;
+        while (currentPage <= this.maxPages && !this.aborted) {
+            console.log(`\n=== 作者主页第 ${currentPage} 页 ===`);
+            let entries = [];
+            try {
+                entries = await this.extractAuthorArticlesFromPage();
+            } catch (error) {
+                console.log(`提取作者文章失败: ${error.message}`);
+            }
+            if (entries.length === 0) {
+                console.log('当前页面没有找到文章，停止爬取');
+                break;
+            }
+            // 主页上的文章均属于该作者；未显示时间的条目交由详情页补全，不参与时间过滤
+            entries.forEach(entry => {
+                entry.author = entry.author || authorName;
+                entry.authorId = authorId;
+                entry.authorUrl = profileUrl;
+            });
+            const dated = entries.filter(entry => entry.publishTime);
+            const undated = entries.filter(entry => !entry.publishTime);
+            const filtered = this.applyListFilters([...this.filterByDate(dated), ...undated]);
+            await this.processArticles(filtered);
+            console.log(`第 ${currentPage} 页: 找到 ${entries.length} 篇文章，符合条件 ${filtered.length} 篇`);
+
+            if (this.aborted || !(await this.goToNextPage())) break;
+            currentPage++;
+        }
+        console.log(`\n作者文章爬取完成！共获取 ${this.articles.length} 篇文章`);
+    }
+
+    // ============ URL mode ============
+    normalizeArticleUrl(input) {
+        const raw = String(input || '').trim();
+        if (!raw) return '';
+        // 允许直接传文章 ID
+        if (/^\d+$/.test(raw)) return `${this.baseUrl}/${raw}`;
+        try {
+            return new URL(raw, this.baseUrl).href;
+        } catch {
+            return '';
+        }
+    }
+
+    loadUrlFile(filePath) {
+        const resolved = path.resolve(filePath);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`URL 列表文件不存在: ${resolved}`);
+        }
+        // 每行一个链接，忽略空行与 # 注释
+        return fs.readFileSync(resolved, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+    }
+
+    async crawlUrls() {
+        const inputs = [...this.urls];
+        for (const file of this.urlFiles) {
+            inputs.push(...this.loadUrlFile(file));
+        }
+        const links = Array.from(new Set(inputs.map(u => this.normalizeArticleUrl(u)).filter(Boolean)));
+        console.log(`🔗 直接抓取指定链接，共 ${links.length} 条`);
+        if (links.length === 0) return;
+
+        // 标题/作者/分类/发布时间均由详情页补全
+        const items = links.map(link => {
+            const known = this.manifest.articles[link] || {};
+            return {
+                title: known.title || '',
+                link,
+                publishTime: known.publishTime || '',
+                category: known.category || '',
+                author: known.author || '',
+                extractedAt: new Date().toISOString()
+            };
+        });
+
+        await this.processArticles(items);
+        console.log(`指定链接抓取完成：成功 ${this.articles.length} 篇，失败 ${this.failures.length} 条`);
+    }
+
+    // ============ Manifest helpers ============
+    // 清单固定位于 <outDir>/papers/，与输出配置无关（hugo/hexo 的文章目录不宜放入非文章文件）
+    getManifestPath() {
+        return path.join(this.outDir, 'papers', 'manifest.json');
+    }
+
+    // ============ Output layout helpers ============
+    getPapersDir() {
+        if (this.profile === 'hugo') return path.join(this.outDir, 'content', 'posts');
+        if (this.profile === 'hexo') return path.join(this.outDir, 'source', '_posts');
+        return path.join(this.outDir, 'papers');
+    }
+
+    getImagesDir() {
+        if (this.profile === 'obsidian') return path.join(this.outDir, 'attachments');
+        if (this.profile === 'hugo') return path.join(this.outDir, 'static', 'images');
+        if (this.profile === 'hexo') return path.join(this.outDir, 'source', 'images');
+        return path.join(this.getPapersDir(), 'images');
+    }
+
+    // 文章目录相对输出根目录的路径（POSIX 分隔符），用于汇总中的链接
+    getPapersRel() {
+        return path.relative(this.outDir, this.getPapersDir()).split(path.sep).join('/');
+    }
+
+    // 本地图片在文章中的引用：obsidian 为 ![[文件名]]，hugo/hexo 为站点绝对路径 /images/，默认为相对文章目录的路径
+    formatLocalImage(mdPath, fileName, alt = '') {
+        if (this.profile === 'obsidian') return `![[${fileName}]]`;
+        if (this.profile === 'hugo' || this.profile === 'hexo') return `![${alt}](/images/${fileName})`;
+        const imagesRel = path.relative(path.dirname(mdPath), this.getImagesDir()).split(path.sep).join('/');
+        return `![${alt}](${imagesRel}/${fileName})`;
+    }
+
+    // 将各输出配置特有的本地图片/文章链接还原为标准 Markdown（相对文章目录的图片路径、原文链接），供导出/站点等读取正文时使用
+    normalizeProfileLinks(markdown, mdPath) {
+        const imagesRel = path.relative(path.dirname(mdPath), this.getImagesDir()).split(path.sep).join('/');
+        let out = markdown;
+        if (this.profile === 'obsidian') {
+            out = out.replace(/!\[\[([^\]|]+)(?:\|[^\]]*)?\]\]/g, (full, name) => `![](${imagesRel}/${name})`);
+            const byNote = new Map(this.getManifestArticles().filter(e => e.fileName)
+                .map(e => [`${this.getPapersRel()}/${e.fileName.replace(/\.md$/i, '')}`, e]));
+            out = out.replace(/\[\[([^\]|]+)\|([^\]]*)\]\]/g, (full, note, text) => {
+                const entry = byNote.get(note);
+                return entry ? `[${text}](${entry.link})` : full;
+            });
+        } else if (this.profile === 'hugo' || this.profile === 'hexo') {
+            out = out.replace(/(!\[[^\]]*\]\()\/images\//g, `$1${imagesRel}/`);
+        }
+        return out;
+    }
+
+    // 按布局策略返回文章所在的子目录（相对 papers/，POSIX 分隔符）
+    getLayoutDir(article) {
+        if (this.layout === 'year-month') {
+            const m = String(article.publishTime || '').match(/(\d{4})-(\d{1,2})/);
+            return m ? `${m[1]}/${m[2].padStart(2, '0')}` : 'unknown-date';
+        }
+        if (this.layout === 'category') {
+            return this.sanitizeFileNamePart(article.category) || '未分类';
+        }
+        return '';
+    }
+
+    // 原始HTML归档与文章文件同名，扩展名为 .html.gz
+    getHtmlArchivePath(mdPath) {
+        return mdPath.replace(/\.md$/i, '') + '.html.gz';
+    }
+
+    readHtmlArchive(mdPath) {
+        const archivePath = this.getHtmlArchivePath(mdPath);
+        if (!fs.existsSync(archivePath)) return null;
+        return zlib.gunzipSync(fs.readFileSync(archivePath)).toString('utf8');
+    }
+
+    // 递归列出 papers/ 下的 Markdown 文件（相对路径，跳过 images/ 与隐藏目录）
+    listMarkdownFiles(dir = this.getPapersDir(), prefix = '') {
+        if (!fs.existsSync(dir)) return [];
+        const out = [];
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (entry.name === 'images' || entry.name.startsWith('.')) continue;
+                out.push(...this.listMarkdownFiles(path.join(dir, entry.name), rel));
+            } else if (entry.name.toLowerCase().endsWith('.md') && entry.name !== '_index.md') {
+                out.push(rel);
+            }
+        }
+        return out;
+    }
+
+    // 文件在目录间移动后，重写相对路径形式的本地图片引用
+    rewriteRelativeImageLinks(markdown, fromDir, toDir) {
+        if (fromDir === toDir) return markdown;
+        return markdown.replace(/(!\[[^\]]*\]\()((?:\.\.\/)*images\/[^)\s]+)/g, (full, head, rel) => {
+            const absolute = path.resolve(fromDir, rel);
+            return head + path.relative(toDir, absolute).split(path.sep).join('/');
+        });
+    }
+
+    loadManifest(quiet = false) {
+        const manifestPath = this.getManifestPath();
+        try {
+            if (fs.existsSync(manifestPath)) {
+                const data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+                if (data && data.articles && typeof data.articles === 'object') {
+                    this.manifest = { version: 1, updatedAt: data.updatedAt || null, articles: data.articles };
+                }
+            }
+        } catch (error) {
+            console.log(`读取清单失败，将重新建立: ${error.message}`);
+        }
+        if (!quiet) console.log(`📒 已加载清单: ${Object.keys(this.manifest.articles).length} 篇已归档文章`);
+        return this.manifest;
+    }
+
+    saveManifest(force = false) {
+        if (!this._manifestDirty && !force) return;
+        try {
+            const manifestPath = this.getManifestPath();
+            fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+            this.manifest.updatedAt = new Date().toISOString();
+            // 先写临时文件再替换，避免中断时留下半截 JSON
+            const tmpPath = `${manifestPath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.manifest, null, 2), 'utf8');
+            fs.renameSync(tmpPath, manifestPath);
+            this._manifestDirty = false;
+        } catch (error) {
+            console.error(`⚠️ 保存清单失败: ${error.message}`);
+        }
+    }
+
+    getArticleKey(article) {
+        return (article.link && article.link.trim()) || `${(article.title || '').trim()}|${article.publishTime || ''}`;
+    }
+
+    extractArticleId(link) {
+        const m = String(link || '').match(/\/news\/(\d+)/);
+        return m ? m[1] : '';
+    }
+
+    extractAuthorId(url) {
+        const m = String(url || '').match(/\/users\/([^/?#]+)/);
+        return m ? decodeURIComponent(m[1]) : '';
+    }
+
+    isKnownArticle(article) {
+        return Object.prototype.hasOwnProperty.call(this.manifest.articles, this.getArticleKey(article));
+    }
+
+    recordManifestEntry(article) {
+        const key = this.getArticleKey(article);
+        const prev = this.manifest.articles[key] || {};
+        this.manifest.articles[key] = {
+            link: article.link || prev.link || '',
+            articleId: this.extractArticleId(article.link) || prev.articleId || '',
+            title: (article.title || prev.title || '').trim(),
+            publishTime: article.publishTime || prev.publishTime || '',
+            category: article.category || prev.category || '',
+            categoryId: article.categoryId || prev.categoryId || '',
+            board: article.board || prev.board || '',
+            author: article.author || prev.author || '',
+            authorId: article.authorId || prev.authorId || '',
+            authorUrl: article.authorUrl || prev.authorUrl || '',
+            views: article.views ?? prev.views ?? null,
+            comments: article.comments ?? prev.comments ?? null,
+            likes: article.likes ?? prev.likes ?? null,
+            favorites: article.favorites ?? prev.favorites ?? null,
+            tags: (article.tags && article.tags.length) ? article.tags : (prev.tags || []),
+            updatedTime: article.updatedTime || prev.updatedTime || '',
+            fileName: article.fileName || prev.fileName || '',
+            contentHash: article.content ? this.sha1(article.content) : (prev.contentHash || ''),
+            crawledAt: article.extractedAt || new Date().toISOString()
+        };
+        this._manifestDirty = true;
+    }
+
+    getManifestArticles() {
+        return Object.values(this.manifest.articles);
+    }
+
+    // 文件名片段清洗：移除不安全字符，空白与括号替换为下划线
+    sanitizeFileNamePart(value) {
+        return String(value || '').trim()
+            .replace(/[<>:"/\\|?*]/g, '') // 移除不安全字符
+            .replace(/[\s()（）\[\]【】]/g, '_') // 空格和括号替换为下划线
+            .replace(/_+/g, '_') // 多个下划线合并为一个
+            .replace(/^_|_$/g, ''); // 移除开头和结尾的下划线
+    }
+
+    generateFileName(article, index) {
+        // 按模板生成安全的文件名，默认只使用标题；可用占位符：{title} {id} {date} {author} {category} {index}
+        const date = (() => {
+            const m = String(article.publishTime || '').match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+            return m ? `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}` : '';
+        })();
+        const values = {
+            title: this.sanitizeFileNamePart(article.title).substring(0, 80), // 限制标题长度
+            id: article.articleId || this.extractArticleId(article.link),
+            date,
+            author: this.sanitizeFileNamePart(article.author),
+            category: this.sanitizeFileNamePart(article.category),
+            index: index !== undefined ? String(index) : ''
+        };
+        let fileName = this.fileNameTemplate
+            .replace(/\{(title|id|date|author|category|index)\}/g, (_, k) => values[k] || '');
+        fileName = this.sanitizeFileNamePart(fileName).substring(0, 120);
+        
+        // 确保文件名不为空（模板占位符全部缺失时也会走到这里）
+        if (!fileName || (!values.title && !values.id)) {
+            const linkHash = this.sha1(String(article.link || 'unknown')).slice(0, 12);
+            fileName = fileName ? `${fileName}_article_${linkHash}` : `article_${linkHash}`;
+        }
+        
+        return `${fileName}.md`;
+    }
+
+    // ============ File name collision helpers ============
+    getFileOwners() {
+        if (!this._fileOwners) {
+            this._fileOwners = new Map();
+            for (const [key, entry] of Object.entries(this.manifest.articles)) {
+                if (entry.fileName) this._fileOwners.set(entry.fileName, key);
+            }
+        }
+        return this._fileOwners;
+    }
+
+    // 从已生成的文章文件中读回原文链接（front matter 或页脚），用于识别清单外的旧文件
+    readArticleLinkFromFile(filePath) {
+        try {
+            const text = fs.readFileSync(filePath, 'utf8');
+            const m = text.match(/^(?:link|source):\s*"([^"]*)"/m) || text.match(/原文链接:\s*(\S+)/);
+            return m ? m[1] : '';
+        } catch {
+            return '';
+        }
+    }
+
+    isFileNameAvailable(fileName, key) {
+        const owner = this.getFileOwners().get(fileName);
+        if (owner) return owner === key;
+        const filePath = path.join(this.getPapersDir(), fileName);
+        if (!fs.existsSync(filePath)) return true;
+        // 清单外的已有文件：只有确认属于同一篇文章时才复用
+        return this.readArticleLinkFromFile(filePath) === key;
+    }
+
+    // 确定文章的最终文件名：沿用清单中的文件名；新文章按模板生成，冲突时追加文章 ID 或序号
+    resolveFileName(article, index, { ignoreManifest = false } = {}) {
+        const key = this.getArticleKey(article);
+        const known = this.manifest.articles[key];
+        if (!ignoreManifest && known && known.fileName) {
+            this.getFileOwners().set(known.fileName, key);
+            return known.fileName;
+        }
+        const layoutDir = this.getLayoutDir(article);
+        const base = (layoutDir ? `${layoutDir}/` : '') + this.generateFileName(article, index).replace(/\.md$/, '');
+        const id = article.articleId || this.extractArticleId(article.link) || this.sha1(String(article.link || key)).slice(0, 8);
+        const candidates = [base];
+        if (!base.includes(id)) candidates.push(`${base}_${id}`);
+        for (let n = 2; n < 100; n++) candidates.push(`${base}_${id}_${n}`);
+        for (const candidate of candidates) {
+            const fileName = `${candidate}.md`;
+            if (this.isFileNameAvailable(fileName, key)) {
+                if (candidate !== base) {
+                    console.log(`⚠️ 文件名冲突，改用: ${fileName}`);
+                }
+                this.getFileOwners().set(fileName, key);
+                return fileName;
+            }
+        }
+        throw new Error(`无法为文章分配文件名: ${base}`);
+    }
+
+    // 从文章文件的 front matter / 页脚中解析元信息（用于补录清单外的旧文件）
+    parseArticleFileMeta(text) {
+        const fm = {};
+        const fmMatch = text.match(/^---\n([\s\S]*?)\n---\n/);
+        if (fmMatch) {
+            for (const line of fmMatch[1].split('\n')) {
+                const m = line.match(/^([\w-]+):\s*(.*)$/);
+                if (!m) continue;
+                try { fm[m[1]] = JSON.parse(m[2]); } catch { fm[m[1]] = m[2].trim(); }
+            }
+        }
+        const footer = (label) => (text.match(new RegExp(`^> ${label}:\\s*(.+?)\\s*$`, 'm')) || [])[1] || '';
+        const first = (v) => (Array.isArray(v) ? v[0] : v) || '';
+        const published = String(fm.publish_time || fm.date || fm.published || footer('发布时间'))
+            .replace(/（更新于.*$/, '')
+            .match(/(\d{4}-\d{1,2}-\d{1,2})(?:[ T](\d{1,2}:\d{2}))?/);
+        const authorFooter = footer('作者');
+        const authorLink = authorFooter.match(/^\[([^\]]*)\]\(([^)]*)\)$/);
+        const boardCategory = footer('板块/分类').split(' / ');
+        const tags = Array.isArray(fm.tags) ? fm.tags : footer('标签').split(',').map(t => t.trim()).filter(Boolean);
+        return {
+            title: String(fm.title || (text.match(/^#\s+(.+)$/m) || [])[1] || '').trim(),
+            publishTime: published ? [published[1], published[2]].filter(Boolean).join(' ') : '',
+            author: String(fm.author || (authorLink ? authorLink[1] : authorFooter)),
+            authorUrl: authorLink ? authorLink[2] : '',
+            board: boardCategory.length > 1 ? boardCategory[0] : '',
+            category: String(fm.category || first(fm.categories) || (boardCategory.length > 1 ? boardCategory[1] : boardCategory[0]) || ''),
+            updatedTime: (footer('发布时间').match(/（更新于\s*([^）]+)）/) || [])[1] || '',
+            tags
+        };
+    }
+
+    // 补录 papers/ 中不在清单里、但页脚/front matter 带原文链接的旧文件
+    backfillManifestFromPapers() {
+        const papersDir = this.getPapersDir();
+        const tracked = new Set(Object.values(this.manifest.articles).map(e => e.fileName));
+        let added = 0;
+        for (const name of this.listMarkdownFiles(papersDir)) {
+            if (tracked.has(name)) continue;
+            const filePath = path.join(papersDir, name);
+            const link = this.readArticleLinkFromFile(filePath);
+            if (!link || this.manifest.articles[link]) continue;
+            const meta = this.parseArticleFileMeta(fs.readFileSync(filePath, 'utf8'));
+            this.manifest.articles[link] = {
+                link,
+                articleId: this.extractArticleId(link),
+                ...meta,
+                fileName: name,
+                contentHash: '',
+                crawledAt: new Date().toISOString()
+            };
+            this._manifestDirty = true;
+            added++;
+            console.log(`📒 补录清单: ${name}`);
+        }
+        this._fileOwners = null;
+        return added;
+    }
+
+    // 按当前模板与布局重命名/移动 papers/ 下的已有文件，并同步清单（清单外但带原文链接的旧文件会被补录）
+    migrateFileNames() {
+        const papersDir = this.getPapersDir();
+        if (!fs.existsSync(papersDir)) {
+            console.log('papers 文件夹不存在，跳过');
+            return;
+        }
+
+        this.backfillManifestFromPapers();
+
+        let renamed = 0;
+        for (const [key, entry] of Object.entries(this.manifest.articles)) {
+            const current = entry.fileName;
+            const target = this.resolveFileName(entry, undefined, { ignoreManifest: true });
+            if (!current || current === target) continue;
+            const from = path.join(papersDir, current);
+            const to = path.join(papersDir, target);
+            if (!fs.existsSync(from)) {
+                console.log(`⏭️ 文件不存在，跳过: ${current}`);
+                this.getFileOwners().delete(target);
+                continue;
+            }
+            if (this.dryRun) {
+                console.log(`[dry-run] ${current} -> ${target}`);
+                this.getFileOwners().delete(target);
+                continue;
+            }
+            fs.mkdirSync(path.dirname(to), { recursive: true });
+            const moved = this.rewriteRelativeImageLinks(fs.readFileSync(from, 'utf8'), path.dirname(from), path.dirname(to));
+            fs.writeFileSync(to, moved, 'utf8');
+            fs.unlinkSync(from);
+            if (fs.existsSync(this.getHtmlArchivePath(from))) {
+                fs.renameSync(this.getHtmlArchivePath(from), this.getHtmlArchivePath(to));
+            }
+            // 清理移动后留下的空布局目录
+            for (let dir = path.dirname(from); dir !== papersDir && dir.startsWith(papersDir); dir = path.dirname(dir)) {
+                if (fs.readdirSync(dir).length > 0) break;
+                fs.rmdirSync(dir);
+            }
+            if (this.getFileOwners().get(current) === key) this.getFileOwners().delete(current);
+            entry.fileName = target;
+            this._manifestDirty = true;
+            renamed++;
+            console.log(`✏️ ${current} -> ${target}`);
+        }
+        console.log(`完成：重命名 ${renamed} 个文件`);
+    }
+
+    // ============ SQLite archive ============
+    getDbPath() {
+        return this.dbPath ? path.resolve(this.dbPath) : path.join(this.outDir, 'archive.db');
+    }
+
+    openDb() {
+        if (this._db) return this._db;
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error(`SQLite 存储需要可选依赖 better-sqlite3，请先执行 npm install better-sqlite3 (${error.message})`);
+        }
+        const dbPath = this.getDbPath();
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        const db = new Database(dbPath);
+        db.pragma('journal_mode = WAL');
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS articles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                link TEXT NOT NULL UNIQUE,
+                article_id TEXT,
+                title TEXT,
+                author TEXT,
+                author_id TEXT,
+                author_url TEXT,
+                category TEXT,
+                board TEXT,
+                publish_time TEXT,
+                updated_time TEXT,
+                views INTEGER,
+                comments INTEGER,
+                likes INTEGER,
+                favorites INTEGER,
+                tags TEXT,
+                file_name TEXT,
+                content_hash TEXT,
+                content TEXT,
+                crawled_at TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_articles_author ON articles(author);
+            CREATE INDEX IF NOT EXISTS idx_articles_category ON articles(category);
+            CREATE INDEX IF NOT EXISTS idx_articles_publish_time ON articles(publish_time);
+            CREATE TABLE IF NOT EXISTS images (
+                article_link TEXT NOT NULL,
+                url TEXT NOT NULL,
+                alt TEXT,
+                PRIMARY KEY (article_link, url)
+            );
+            CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(title, content, tokenize = 'unicode61');
+        `);
+        this._db = db;
+        return db;
+    }
+
+    closeDb() {
+        if (this._db) {
+            this._db.close();
+            this._db = null;
+        }
+    }
+
+    // 中文没有空格分词，将连续的 CJK 字符切分为重叠的二元组，使 unicode61 分词器可按词检索；
+    // 建索引时（withUnigrams）再把出现过的单字附在末尾，单字查询也能命中，且不打断二元组短语的相邻关系
+    segmentForFts(text, withUnigrams = false) {
+        const chars = new Set();
+        const segmented = String(text || '').replace(/[\u3400-\u9fff\uf900-\ufaff]+/g, (run) => {
+            if (withUnigrams) for (const ch of run) chars.add(ch);
+            if (run.length === 1) return ` ${run} `;
+            const grams = [];
+            for (let i = 0; i < run.length - 1; i++) grams.push(run.slice(i, i + 2));
+            return ` ${grams.join(' ')} `;
+        });
+        return chars.size ? `${segmented} ${Array.from(chars).join(' ')}` : segmented;
+    }
+
+    // 将用户输入转换为 FTS5 MATCH 表达式：每个词作为一个短语，词之间为 AND
+    buildFtsQuery(query) {
+        const terms = String(query || '').trim().split(/\s+/).filter(Boolean);
+        return terms
+            .map(term => this.segmentForFts(term).trim())
+            .filter(Boolean)
+            .map(seg => `"${seg.replace(/"/g, '""')}"`)
+            .join(' ');
+    }
+
+    saveArticleToDb(article) {
+        try {
+            const db = this.openDb();
+            const content = article.content || '';
+            const row = {
+                link: article.link || this.getArticleKey(article),
+                article_id: article.articleId || this.extractArticleId(article.link),
+                title: (article.title || '').trim(),
+                author: article.author || '',
+                author_id: article.authorId || '',
+                author_url: article.authorUrl || '',
+                category: article.category || '',
+                board: article.board || '',
+                publish_time: article.publishTime || '',
+                updated_time: article.updatedTime || '',
+                views: typeof article.views === 'number' ? article.views : null,
+                comments: typeof article.comments === 'number' ? article.comments : null,
+                likes: typeof article.likes === 'number' ? article.likes : null,
+                favorites: typeof article.favorites === 'number' ? article.favorites : null,
+                tags: JSON.stringify(article.tags || []),
+                file_name: article.fileName || '',
+                content_hash: content ? this.sha1(content) : '',
+                content,
+                crawled_at: article.extractedAt || new Date().toISOString()
+            };
+            const images = [];
+            const imageRegex = /!\[([^\]]*)\]\(((?:https?:|data:image\/|[^)\s]*images\/)[^)\s]*)/g;
+            let m;
+            while ((m = imageRegex.exec(content)) !== null) {
+                images.push({ alt: m[1], url: m[2].startsWith('data:') ? `data:${this.sha1(m[2])}` : m[2] });
+            }
+            db.transaction(() => {
+                db.prepare(`
+                    INSERT INTO articles (link, article_id, title, author, author_id, author_url, category, board, publish_time, updated_time,
+                        views, comments, likes, favorites, tags, file_name, content_hash, content, crawled_at)
+                    VALUES (@link, @article_id, @title, @author, @author_id, @author_url, @category, @board, @publish_time, @updated_time,
+                        @views, @comments, @likes, @favorites, @tags, @file_name, @content_hash, @content, @crawled_at)
+                    ON CONFLICT(link) DO UPDATE SET
+                        article_id = excluded.article_id, title = excluded.title, author = excluded.author,
+                        author_id = excluded.author_id, author_url = excluded.author_url, category = excluded.category,
+                        board = excluded.board, publish_time = excluded.publish_time, updated_time = excluded.updated_time,
+                        views = excluded.views, comments = excluded.comments, likes = excluded.likes, favorites = excluded.favorites,
+                        tags = excluded.tags, file_name = excluded.file_name, content_hash = excluded.content_hash,
+                        content = excluded.content, crawled_at = excluded.crawled_at
+                `).run(row);
+                const { id } = db.prepare('SELECT id FROM articles WHERE link = ?').get(row.link);
+                db.prepare('DELETE FROM articles_fts WHERE rowid = ?').run(id);
+                db.prepare('INSERT INTO articles_fts (rowid, title, content) VALUES (?, ?, ?)')
+                    .run(id, this.segmentForFts(row.title, true), this.segmentForFts(content, true));
+                db.prepare('DELETE FROM images WHERE article_link = ?').run(row.link);
+                const insertImage = db.prepare('INSERT OR IGNORE INTO images (article_link, url, alt) VALUES (?, ?, ?)');
+                for (const img of images) insertImage.run(row.link, img.url, img.alt);
+            })();
+        } catch (error) {
+            console.error(`⚠️ 写入 SQLite 失败: ${error.message}`);
+        }
+    }
+
+    // 将已有归档（清单 + papers/*.md）导入 SQLite，用于启用数据库之前抓取的文章
+    importArchiveToDb() {
+        const papersDir = this.getPapersDir();
+        const entries = Object.values(this.manifest.articles).filter(entry => entry.fileName);
+        let imported = 0;
+        for (const entry of entries) {
+            const mdPath = path.join(papersDir, entry.fileName);
+            if (!fs.existsSync(mdPath)) continue;
+            // 只索引正文（去掉 front matter、标题与页脚），与抓取时写入的内容一致
+            this.saveArticleToDb({ ...entry, content: this.readArticleContent(entry), extractedAt: entry.crawledAt });
+            imported++;
+        }
+        console.log(`完成：导入 ${imported} 篇文章到 ${this.getDbPath()}`);
+    }
+
+    // 从正文中截取命中词附近的片段
+    makeSnippet(content, query, radius = 40) {
+        const text = String(content || '').replace(/\s+/g, ' ');
+        const terms = String(query || '').trim().split(/\s+/).filter(Boolean);
+        const lower = text.toLowerCase();
+        let pos = -1;
+        let hit = '';
+        for (const term of terms) {
+            const i = lower.indexOf(term.toLowerCase());
+            if (i !== -1 && (pos === -1 || i < pos)) { pos = i; hit = text.substr(i, term.length); }
+        }
+        if (pos === -1) return text.slice(0, radius * 2) + (text.length > radius * 2 ? '…' : '');
+        const start = Math.max(0, pos - radius);
+        const end = Math.min(text.length, pos + hit.length + radius);
+        return (start > 0 ? '…' : '') + text.slice(start, pos) + `【${hit}】` + text.slice(pos + hit.length, end) + (end < text.length ? '…' : '');
+    }
+
+    searchArchive({ query = '', author, categories = [], limit = 20 } = {}) {
+        const db = this.openDb();
+        const where = [];
+        const params = {};
+        const ftsQuery = this.buildFtsQuery(query);
+        if (ftsQuery) {
+            where.push('articles_fts MATCH @q');
+            params.q = ftsQuery;
+        }
+        if (author) {
+            where.push('(a.author = @author OR a.author_id = @author)');
+            params.author = String(author);
+        }
+        if (categories.length) {
+            where.push(`a.category IN (${categories.map((_, i) => `@cat${i}`).join(', ')})`);
+            categories.forEach((c, i) => { params[`cat${i}`] = c; });
+        }
+        if (this.startDate) {
+            where.push('a.publish_time >= @start');
+            params.start = this.startDate.toISOString().slice(0, 10);
+        }
+        if (this.endDate) {
+            where.push('a.publish_time <= @end');
+            params.end = `${this.endDate.toISOString().slice(0, 10)} 23:59`;
+        }
+        params.limit = Number(limit) > 0 ? Number(limit) : 20;
+        const sql = ftsQuery
+            ? `SELECT a.*, bm25(articles_fts, 10.0, 1.0) AS score FROM articles_fts JOIN articles a ON a.id = articles_fts.rowid
+               ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY score LIMIT @limit`
+            : `SELECT a.*, NULL AS score FROM articles a
+               ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY a.publish_time DESC LIMIT @limit`;
+        return db.prepare(sql).all(params).map(row => ({
+            ...row,
+            tags: JSON.parse(row.tags || '[]'),
+            snippet: this.makeSnippet(row.content, query)
+        }));
+    }
+
+    printSearchResults(results, query) {
+        if (!results.length) {
+            console.log(`没有找到匹配 "${query}" 的文章`);
+            return;
+        }
+        console.log(`找到 ${results.length} 条结果:\n`);
+        results.forEach((row, index) => {
+            console.log(`${index + 1}. ${row.title} (${row.publish_time || '未知'} · ${row.author || '未知'} · ${row.category || '未分类'})`);
+            console.log(`   ${row.link}${row.file_name ? `  ${this.getPapersRel()}/${row.file_name}` : ''}`);
+            console.log(`   ${row.snippet}\n`);
+        });
+    }
+
+    // ============ Structured export ============
+    // 从已保存的 Markdown 中取出正文（去掉 front matter、标题行与页脚）
+    extractBodyFromMarkdown(markdown) {
+        let body = String(markdown || '').replace(/^\uFEFF/, '');
+        if (body.startsWith('---\n')) {
+            const end = body.indexOf('\n---\n', 4);
+            if (end !== -1) body = body.slice(end + 5);
+        }
+        if (this.profile !== 'hugo' && this.profile !== 'hexo') {
+            body = body.replace(/^\s*# [^\n]*\n/, '');
+        }
+        const footer = body.lastIndexOf('---\n\n> 本文档由先知社区爬虫自动生成');
+        if (footer !== -1) body = body.slice(0, footer);
+        return body.trim();
+    }
+
+    // 读取已归档文章的 Markdown 正文；Markdown 文件缺失时从 HTML 归档重新转换
+    readArticleContent(entry) {
+        const mdPath = path.join(this.getPapersDir(), entry.fileName || '');
+        if (entry.fileName && fs.existsSync(mdPath)) {
+            return this.normalizeProfileLinks(this.extractBodyFromMarkdown(fs.readFileSync(mdPath, 'utf8')), mdPath);
+        }
+        try {
+            const html = entry.fileName ? this.readHtmlArchive(mdPath) : null;
+            if (html) return (this.convertHtmlToMarkdown(html) || '').trim();
+        } catch (error) {
+            console.log(`读取HTML归档失败: ${entry.fileName} -> ${error.message}`);
+        }
+        return '';
+    }
+
+    // 按 --start-date / --end-date / --category 从清单中挑选文章，按发布时间升序；
+    // 指定 --summary 时只取该汇总文件中链接到的文章，并保持汇总中的顺序
+    selectManifestEntries() {
+        if (this.exportOptions.summary) {
+            return this.selectEntriesFromSummary(this.exportOptions.summary);
+        }
+        const day = (d) => d.toISOString().slice(0, 10);
+        const start = this.startDate ? day(this.startDate) : null;
+        const end = this.endDate ? day(this.endDate) : null;
+        const wanted = this.categories.map(c => String(c).toLowerCase());
+        return this.getManifestArticles()
+            .filter(entry => {
+                const date = String(entry.publishTime || '').slice(0, 10);
+                if (start && (!date || date < start)) return false;
+                if (end && (!date || date > end)) return false;
+                if (wanted.length && !wanted.includes(String(entry.category || '').toLowerCase())
+                    && !wanted.includes(String(entry.categoryId || '').toLowerCase())) return false;
+                return true;
+            })
+            .sort((a, b) => String(a.publishTime || '').localeCompare(String(b.publishTime || '')));
+    }
+
+    // 按汇总文件（SUMMARY-*.md）中链接到的文章选择清单条目，保持汇总中的顺序
+    selectEntriesFromSummary(summaryPath) {
+        const resolved = path.resolve(this.outDir, summaryPath);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`汇总文件不存在: ${resolved}`);
+        }
+        const byFile = new Map(this.getManifestArticles().filter(e => e.fileName).map(e => [e.fileName, e]));
+        const seen = new Set();
+        const entries = [];
+        // 汇总中的文章链接：[标题](papers/x.md)、[[papers/x|标题]]（obsidian）、{{< ref "posts/x.md" >}}（hugo）、{% post_link x %}（hexo）
+        const rel = this.getPapersRel().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const linkRegex = new RegExp(`\\]\\(${rel}\\/([^)]+)\\)|\\[\\[${rel}\\/([^\\]|\\\\]+)|ref "posts\\/([^"]+)"|post_link "([^"]+)"`, 'g');
+        const text = fs.readFileSync(resolved, 'utf8');
+        let m;
+        while ((m = linkRegex.exec(text)) !== null) {
+            const fileName = m[1] || m[3] || `${m[2] || m[4]}.md`;
+            if (seen.has(fileName) || !byFile.has(fileName)) continue;
+            seen.add(fileName);
+            entries.push(byFile.get(fileName));
+        }
+        return entries;
+    }
+
+    // Markdown -> 纯文本：代码块内容原样保留，其余行去掉标记
+    markdownToPlainText(markdown) {
+        const out = [];
+        let fence = null;
+        for (const line of String(markdown || '').split('\n')) {
+            const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+            if (fenceMatch && (!fence || fenceMatch[1][0] === fence[0])) {
+                fence = fence ? null : fenceMatch[1];
+                continue;
+            }
+            if (fence) {
+                out.push(line);
+                continue;
+            }
+            if (/^\s*\|?(\s*:?-{3,}:?\s*\|)+\s*(:?-{3,}:?)?\s*$/.test(line)) continue; // 表格分隔行
+            out.push(line
+                .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // 图片 -> alt
+                .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // 链接 -> 文本
+                .replace(/^\s{0,3}#{1,6}\s+/, '')
+                .replace(/^\s{0,3}(>\s?)+/, '')
+                .replace(/^(\s*)([-*+]|\d+\.)\s+(\[[ xX]\]\s+)?/, '$1')
+                .replace(/^\s*\|(.*)\|\s*$/, (m, cells) => cells.split('|').map(c => c.trim()).join('\t'))
+                .replace(/(\*\*|__|~~|`)/g, '')
+                .replace(/\s+$/, ''));
+        }
+        return out.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    // 提取标题、代码块与图片列表
+    extractMarkdownStructure(markdown) {
+        const headings = [];
+        const codeBlocks = [];
+        const images = [];
+        let fence = null;
+        for (const line of String(markdown || '').split('\n')) {
+            const fenceMatch = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`]*)/);
+            if (fence) {
+                if (fenceMatch && fenceMatch[1][0] === fence.marker[0] && fenceMatch[1].length >= fence.marker.length && !fenceMatch[2]) {
+                    codeBlocks.push({ language: fence.language, code: fence.lines.join('\n') });
+                    fence = null;
+                } else {
+                    fence.lines.push(line);
+                }
+                continue;
+            }
+            if (fenceMatch) {
+                fence = { marker: fenceMatch[1], language: fenceMatch[2] || '', lines: [] };
+                continue;
+            }
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+            if (heading) headings.push({ level: heading[1].length, text: heading[2] });
+            const imageRegex = /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+            let m;
+            while ((m = imageRegex.exec(line)) !== null) images.push({ alt: m[1], url: m[2] });
+        }
+        if (fence) codeBlocks.push({ language: fence.language, code: fence.lines.join('\n') });
+        return { headings, codeBlocks, images };
+    }
+
+    buildExportRecord(article, { withText = false, withStructure = false } = {}) {
+        const content = article.content || '';
+        const num = (v) => (typeof v === 'number' ? v : null);
+        const record = {
+            schemaVersion: EXPORT_SCHEMA_VERSION,
+            link: article.link || '',
+            articleId: article.articleId || this.extractArticleId(article.link) || '',
+            title: (article.title || '').trim(),
+            author: article.author || '',
+            authorId: article.authorId || '',
+            authorUrl: article.authorUrl || '',
+            board: article.board || '',
+            category: article.category || '',
+            categoryId: article.categoryId || '',
+            publishTime: article.publishTime || '',
+            updatedTime: article.updatedTime || '',
+            views: num(article.views),
+            comments: num(article.comments),
+            likes: num(article.likes),
+            favorites: num(article.favorites),
+            tags: article.tags || [],
+            fileName: article.fileName || '',
+            contentHash: content ? this.sha1(content) : '',
+            crawledAt: article.extractedAt || article.crawledAt || '',
+            content
+        };
+        if (withText) record.text = this.markdownToPlainText(content);
+        if (withStructure) record.structure = this.extractMarkdownStructure(content);
+        return record;
+    }
+
+    // 抓取过程中逐篇追加到 articles-<timestamp>.jsonl，中断时已保存的文章也不会丢失
+    appendJsonlRecord(article) {
+        try {
+            if (!this._jsonlPath) {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                this._jsonlPath = path.join(this.outDir, `articles-${timestamp}.jsonl`);
+            }
+            const record = this.buildExportRecord(article, this.exportOptions);
+            fs.appendFileSync(this._jsonlPath, JSON.stringify(record) + '\n', 'utf8');
+        } catch (error) {
+            console.error(`⚠️ 写入 JSONL 失败: ${error.message}`);
+        }
+    }
+
+    toCsv(records) {
+        const columns = ['schemaVersion', 'link', 'articleId', 'title', 'author', 'authorId', 'authorUrl', 'board', 'category', 'categoryId',
+            'publishTime', 'updatedTime', 'views', 'comments', 'likes', 'favorites', 'tags', 'fileName', 'contentHash', 'crawledAt', 'content'];
+        if (records.some(r => r.text !== undefined)) columns.push('text');
+        const cell = (v) => {
+            const str = v === null || v === undefined ? '' : Array.isArray(v) ? v.join(';') : String(v);
+            return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        const lines = [columns.join(',')].concat(records.map(r => columns.map(c => cell(r[c])).join(',')));
+        // 带 BOM，便于 Excel 正确识别 UTF-8 中文
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    async exportArchive() {
+        const format = this.format || 'jsonl';
+        if (!['json', 'jsonl', 'csv', 'epub', 'pdf'].includes(format)) {
+            throw new Error(`不支持的导出格式: ${format}（可选 json / jsonl / csv / epub / pdf）`);
+        }
+        const entries = this.selectManifestEntries();
+        console.log(`📦 导出 ${entries.length} 篇文章（${format}）...`);
+        if (format === 'epub') {
+            return this.exportEpub(entries);
+        }
+        if (format === 'pdf') {
+            return this.exportPdf(entries);
+        }
+        const records = entries.map(entry => this.buildExportRecord(
+            { ...entry, content: this.readArticleContent(entry) },
+            this.exportOptions
+        ));
+
+        let output;
+        if (format === 'json') {
+            output = JSON.stringify({
+                schemaVersion: EXPORT_SCHEMA_VERSION,
+                exportedAt: new Date().toISOString(),
+                count: records.length,
+                articles: records
+            }, null, 2) + '\n';
+        } else if (format === 'jsonl') {
+            output = records.map(r => JSON.stringify(r) + '\n').join('');
+        } else {
+            output = this.toCsv(records);
+        }
+
+        const target = this.exportOptions.output;
+        if (target === '-') {
+            process.stdout.write(output);
+            return null;
+        }
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const outPath = target ? path.resolve(target) : path.join(this.outDir, `export-${timestamp}.${format}`);
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, output, 'utf8');
+        console.log(`✅ 已导出: ${outPath}`);
+        return outPath;
+    }
+
+    // ============ HTML rendering ============
+    renderMarkdownToHtml(markdown) {
+        return marked.parse(String(markdown || ''), { gfm: true });
+    }
+
+    escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // 图片路径中可能带有不成对的 %，解码失败时按原样使用
+    safeDecodeURI(text) {
+        try {
+            return decodeURI(text);
+        } catch {
+            return text;
+        }
+    }
+
+    // ============ EPUB export ============
+    crc32(buf) {
+        if (!XianzhiCrawler._crcTable) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                table[n] = c >>> 0;
+            }
+            XianzhiCrawler._crcTable = table;
+        }
+        const table = XianzhiCrawler._crcTable;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < buf.length; i++) crc = table[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // 最小 ZIP 写入器：files 为 [{ name, data, store }]，store 为 true 时不压缩（EPUB 的 mimetype 必须如此）
+    createZip(files) {
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+        for (const file of files) {
+            const name = Buffer.from(file.name, 'utf8');
+            const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+            const compressed = file.store ? data : zlib.deflateRawSync(data);
+            const method = file.store ? 0 : 8;
+            const crc = this.crc32(data);
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(20, 4); // version needed
+            local.writeUInt16LE(0x0800, 6); // UTF-8 文件名
+            local.writeUInt16LE(method, 8);
+            local.writeUInt32LE(0, 10); // 修改时间/日期
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(data.length, 22);
+            local.writeUInt16LE(name.length, 26);
+            local.writeUInt16LE(0, 28);
+            locals.push(local, name, compressed);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0);
+            central.writeUInt16LE(20, 4);
+            central.writeUInt16LE(20, 6);
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(method, 10);
+            central.writeUInt32LE(0, 12);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(data.length, 24);
+            central.writeUInt16LE(name.length, 28);
+            central.writeUInt32LE(offset, 42);
+            centrals.push(central, name);
+
+            offset += local.length + name.length + compressed.length;
+        }
+        const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(files.length, 8);
+        end.writeUInt16LE(files.length, 10);
+        end.writeUInt32LE(centralSize, 12);
+        end.writeUInt32LE(offset, 16);
+        return Buffer.concat([...locals, ...centrals, end]);
+    }
+
+    // 将 HTML 片段序列化为 XHTML；onImage(img) 返回新的 src，返回 null 时把图片替换为原链接
+    toXhtmlFragment(html, onImage) {
+        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
+        const { document, XMLSerializer } = dom.window;
+        this.sanitizeArticleDom(document);
+        document.querySelectorAll('img').forEach(img => {
+            const src = onImage ? onImage(img) : img.getAttribute('src');
+            if (src) {
+                img.setAttribute('src', src);
+                if (!img.hasAttribute('alt')) img.setAttribute('alt', '');
+                return;
+            }
+            const link = document.createElement('a');
+            link.setAttribute('href', img.getAttribute('src') || '');
+            link.textContent = `[图片] ${img.getAttribute('alt') || img.getAttribute('src') || ''}`;
+            img.replaceWith(link);
+        });
+        const serializer = new XMLSerializer();
+        return Array.from(document.body.childNodes)
+            .map(node => serializer.serializeToString(node))
+            .join('')
+            .replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '');
+    }
+
+    wrapXhtml(title, body, { epubNs = false } = {}) {
+        return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml"${epubNs ? ' xmlns:epub="http://www.idpf.org/2007/ops"' : ''} xml:lang="zh-CN" lang="zh-CN">
+<head>
+<meta charset="utf-8"/>
+<title>${this.escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+
+    exportEpub(entries) {
+        if (entries.length === 0) {
+            console.log('⚠️ 没有符合条件的文章，未生成 EPUB');
+            return null;
+        }
+        const papersDir = this.getPapersDir();
+        const mediaTypes = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml' };
+        const images = new Map(); // 本地绝对路径 -> 书内文件名
+        let remoteImages = 0;
+
+        const scope = this.categories.length ? `${this.categories.join('、')} · ` : '';
+        const bookTitle = this.exportOptions.title || `先知社区文章合集（${scope}${this.describeDateRange()}）`;
+        const chapters = entries.map((entry, index) => {
+            const id = `chapter-${String(index + 1).padStart(4, '0')}`;
+            const title = (entry.title || '未知标题').trim();
+            const mdDir = path.dirname(path.join(papersDir, entry.fileName || ''));
+            const content = this.readArticleContent(entry) || '暂无完整内容，请点击原文链接查看。';
+            const body = this.toXhtmlFragment(this.renderMarkdownToHtml(content), (img) => {
+                const src = img.getAttribute('src') || '';
+                if (/^(https?:|data:)/i.test(src)) {
+                    remoteImages++;
+                    return null;
+                }
+                const abs = path.resolve(mdDir, this.safeDecodeURI(src));
+                const ext = path.extname(abs).toLowerCase();
+                if (!mediaTypes[ext] || !fs.existsSync(abs)) return null;
+                if (!images.has(abs)) images.set(abs, `images/${images.size + 1}${ext}`);
+                return images.get(abs);
+            });
+            const meta = [
+                entry.author ? `作者: ${this.escapeHtml(entry.author)}` : '',
+                entry.publishTime ? `发布时间: ${this.escapeHtml(entry.publishTime)}` : '',
+                entry.category ? `分类: ${this.escapeHtml(entry.category)}` : '',
+                entry.link ? `原文链接: <a href="${this.escapeHtml(entry.link)}">${this.escapeHtml(entry.link)}</a>` : ''
+            ].filter(Boolean).join('<br/>');
+            const xhtml = this.wrapXhtml(title, `<section epub:type="chapter">\n<h1>${this.escapeHtml(title)}</h1>\n<p class="meta">${meta}</p>\n${body}\n</section>`, { epubNs: true });
+            return { id, title, file: `${id}.xhtml`, xhtml, entry };
+        });
+
+        // 目录页：与汇总 Markdown 的目录、分类统计一致
+        const categoryStats = {};
+        entries.forEach(entry => {
+            const cat = entry.category || '未分类';
+            categoryStats[cat] = (categoryStats[cat] || 0) + 1;
+        });
+        const contentsBody = [
+            `<h1>${this.escapeHtml(bookTitle)}</h1>`,
+            `<p class="meta">导出时间: ${new Date().toLocaleString('zh-CN')}<br/>文章数量: ${entries.length} 篇<br/>时间范围: ${this.escapeHtml(this.describeDateRange())}<br/>来源: <a href="${this.baseUrl}">先知社区</a></p>`,
+            '<h2>目录</h2>',
+            '<ol>',
+            ...chapters.map(ch => `<li><a href="${ch.file}">${this.escapeHtml(ch.title)}</a> <span class="meta">${this.escapeHtml(ch.entry.publishTime || '')}</span></li>`),
+            '</ol>',
+            '<h2>分类统计</h2>',
+            '<ul>',
+            ...Object.entries(categoryStats).sort((a, b) => b[1] - a[1]).map(([cat, count]) => `<li><strong>${this.escapeHtml(cat)}</strong>: ${count} 篇</li>`),
+            '</ul>'
+        ].join('\n');
+
+        const nav = this.wrapXhtml('目录', [
+            '<nav epub:type="toc" id="toc">',
+            '<h1>目录</h1>',
+            '<ol>',
+            '<li><a href="contents.xhtml">文章目录</a></li>',
+            ...chapters.map(ch => `<li><a href="${ch.file}">${this.escapeHtml(ch.title)}</a></li>`),
+            '</ol>',
+            '</nav>'
+        ].join('\n'), { epubNs: true });
+
+        const uid = `urn:uuid:${crypto.randomUUID()}`;
+        const ncx = `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${uid}"/></head>
+<docTitle><text>${this.escapeHtml(bookTitle)}</text></docTitle>
+<navMap>
+<navPoint id="contents" playOrder="1"><navLabel><text>文章目录</text></navLabel><content src="contents.xhtml"/></navPoint>
+${chapters.map((ch, i) => `<navPoint id="${ch.id}" playOrder="${i + 2}"><navLabel><text>${this.escapeHtml(ch.title)}</text></navLabel><content src="${ch.file}"/></navPoint>`).join('\n')}
+</navMap>
+</ncx>
+`;
+
+        const imageItems = Array.from(images.values()).map((href, i) =>
+            `<item id="img-${i + 1}" href="${href}" media-type="${mediaTypes[path.extname(href)]}"/>`);
+        const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+        const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="zh-CN">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${uid}</dc:identifier>
+<dc:title>${this.escapeHtml(bookTitle)}</dc:title>
+<dc:language>zh-CN</dc:language>
+<dc:creator>先知社区</dc:creator>
+<dc:source>${this.baseUrl}</dc:source>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="style" href="style.css" media-type="text/css"/>
+<item id="contents" href="contents.xhtml" media-type="application/xhtml+xml"/>
+${chapters.map(ch => `<item id="${ch.id}" href="${ch.file}" media-type="application/xhtml+xml"/>`).join('\n')}
+${imageItems.join('\n')}
+</manifest>
+<spine toc="ncx">
+<itemref idref="contents"/>
+${chapters.map(ch => `<itemref idref="${ch.id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+
+        const css = [
+            'body { font-family: serif; line-height: 1.6; }',
+            'h1 { font-size: 1.5em; }',
+            '.meta { color: #666; font-size: 0.85em; }',
+            'pre, code { font-family: "Courier New", Menlo, Consolas, monospace; }',
+            'pre { white-space: pre-wrap; word-wrap: break-word; background: #f5f5f5; padding: 0.6em; font-size: 0.8em; }',
+            'img { max-width: 100%; }',
+            'table { border-collapse: collapse; }',
+            'th, td { border: 1px solid #ccc; padding: 0.2em 0.4em; }',
+            'blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 0.8em; color: #555; }'
+        ].join('\n') + '\n';
+
+        const files = [
+            { name: 'mimetype', data: 'application/epub+zip', store: true },
+            { name: 'META-INF/container.xml', data: `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+` },
+            { name: 'OEBPS/content.opf', data: opf },
+            { name: 'OEBPS/toc.ncx', data: ncx },
+            { name: 'OEBPS/nav.xhtml', data: nav },
+            { name: 'OEBPS/style.css', data: css },
+            { name: 'OEBPS/contents.xhtml', data: this.wrapXhtml(bookTitle, contentsBody) },
+            ...chapters.map(ch => ({ name: `OEBPS/${ch.file}`, data: ch.xhtml })),
+            ...Array.from(images.entries()).map(([abs, href]) => ({ name: `OEBPS/${href}`, data: fs.readFileSync(abs), store: true }))
+        ];
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const target = this.exportOptions.output;
+        const outPath = target ? path.resolve(target) : path.join(this.outDir, `export-${timestamp}.epub`);
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, this.createZip(files));
+        console.log(`✅ 已导出 EPUB: ${outPath}（${chapters.length} 章，内嵌图片 ${images.size} 张）`);
+        if (remoteImages) {
+            console.log(`⚠️ ${remoteImages} 张图片尚未本地化，已替换为原链接；可先执行 --images-only 再导出`);
+        }
+        return outPath;
+    }
+
+    // ============ PDF export ============
+    // 将本地图片内联为 data URI，setContent 渲染的页面无法访问 file:// 资源
+    inlineLocalImages(html, baseDir) {
+        const mimeTypes = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml', '.bmp': 'image/bmp' };
+        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
+        const { document } = dom.window;
+        // 页面在 Chromium 中渲染，先移除抓取内容中的脚本、事件属性与危险链接
+        this.sanitizeArticleDom(document);
+        document.querySelectorAll('img').forEach(img => {
+            const src = img.getAttribute('src') || '';
+            if (!src || /^(https?:|data:)/i.test(src)) return;
+            const abs = path.resolve(baseDir, this.safeDecodeURI(src));
+            const mime = mimeTypes[path.extname(abs).toLowerCase()];
+            if (!mime || !fs.existsSync(abs)) return;
+            img.setAttribute('src', `data:${mime};base64,${fs.readFileSync(abs).toString('base64')}`);
+        });
+        return document.body.innerHTML;
+    }
+
+    buildPdfArticleSection(entry, { id, pageBreak = false } = {}) {
+        const title = (entry.title || '未知标题').trim();
+        const mdDir = path.dirname(path.join(this.getPapersDir(), entry.fileName || ''));
+        const content = this.readArticleContent(entry) || '暂无完整内容，请点击原文链接查看。';
+        const meta = [
+            entry.author ? `作者: ${this.escapeHtml(entry.author)}` : '',
+            entry.publishTime ? `发布时间: ${this.escapeHtml(entry.publishTime)}` : '',
+            entry.category ? `分类: ${this.escapeHtml(entry.category)}` : '',
+            entry.link ? `原文链接: <a href="${this.escapeHtml(entry.link)}">${this.escapeHtml(entry.link)}</a>` : ''
+        ].filter(Boolean).join(' · ');
+        return `<section class="article${pageBreak ? ' page-break' : ''}"${id ? ` id="${id}"` : ''}>
+<h1>${this.escapeHtml(title)}</h1>
+<p class="meta">${meta}</p>
+${this.inlineLocalImages(this.renderMarkdownToHtml(content), mdDir)}
+</section>`;
+    }
+
+    wrapPdfHtml(title, body) {
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>${this.escapeHtml(title)}</title>
+<style>
+body { font-family: "PingFang SC", "Microsoft YaHei", "Noto Sans CJK SC", sans-serif; font-size: 11pt; line-height: 1.6; color: #222; }
+h1 { font-size: 18pt; margin: 0 0 0.3em; }
+.meta { color: #666; font-size: 9pt; word-break: break-all; }
+pre, code { font-family: Menlo, Consolas, "Courier New", monospace; }
+pre { white-space: pre-wrap; word-break: break-all; background: #f6f8fa; padding: 8px; border-radius: 4px; font-size: 9pt; }
+code { background: #f6f8fa; padding: 0 2px; }
+pre code { background: none; padding: 0; }
+img { max-width: 100%; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 2px 6px; }
+blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 10px; color: #555; }
+.page-break { page-break-before: always; }
+.toc li { margin: 2px 0; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+    }
+
+    // 页眉显示标题，页脚显示原文链接与页码
+    getPdfOptions(outPath, title, link) {
+        const style = 'font-size: 8px; color: #888; width: 100%; padding: 0 15mm; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+        return {
+            path: outPath,
+            format: 'A4',
+            printBackground: true,
+            displayHeaderFooter: true,
+            headerTemplate: `<div style="${style}">${this.escapeHtml(title)}</div>`,
+            footerTemplate: `<div style="${style} display: flex; justify-content: space-between;"><span>${this.escapeHtml(link || this.baseUrl)}</span><span><span class="pageNumber"></span> / <span class="totalPages"></span></span></div>`,
+            margin: { top: '18mm', bottom: '18mm', left: '15mm', right: '15mm' }
+        };
+    }
+
+    getPdfPath(entry) {
+        const dir = this.exportOptions.output ? path.resolve(this.exportOptions.output) : path.join(this.outDir, 'pdf');
+        return path.join(dir, (entry.fileName || `${this.extractArticleId(entry.link) || 'article'}.md`).replace(/\.md$/i, '.pdf'));
+    }
+
+    // 打开原文页面，只保留标题与正文（去掉导航栏、侧栏、评论等站点元素）后打印
+    async renderOriginalPdf(page, entry, outPath) {
+        await page.goto(entry.link, { waitUntil: 'load', timeout: 120000, referer: 'https://xz.aliyun.com/' });
+        await page.waitForLoadState('networkidle', { timeout: 30000 }).catch(() => {});
+        const ok = await page.evaluate((meta) => {
+            const body = document.querySelector('.ne-viewer-body');
+            if (!body) return false;
+            const wrap = document.createElement('div');
+            wrap.style.cssText = 'padding: 0; margin: 0; max-width: none;';
+            const h1 = document.createElement('h1');
+            h1.textContent = meta.title;
+            const source = document.createElement('p');
+            source.style.cssText = 'color: #666; font-size: 12px; word-break: break-all;';
+            source.textContent = `原文链接: ${meta.link}`;
+            wrap.append(h1, source, body);
+            document.body.innerHTML = '';
+            document.body.style.cssText = 'margin: 0; padding: 0; background: #fff;';
+            document.body.appendChild(wrap);
+            return true;
+        }, { title: (entry.title || '').trim(), link: entry.link });
+        if (!ok) throw new Error('未找到文章正文（.ne-viewer-body）');
+        await page.pdf(this.getPdfOptions(outPath, (entry.title || '').trim(), entry.link));
+    }
+
+    async renderMarkdownPdf(page, html, outPath, title, link) {
+        await page.setContent(html, { waitUntil: 'load', timeout: 120000 });
+        await page.pdf(this.getPdfOptions(outPath, title, link));
+    }
+
+    async exportPdf(entries) {
+        if (entries.length === 0) {
+            console.log('⚠️ 没有符合条件的文章，未生成 PDF');
+            return null;
+        }
+        const source = this.exportOptions.pdfSource === 'original' ? 'original' : 'markdown';
+        this.setupSignalHandlers();
+        await this.init();
+        const page = this.page;
+
+        if (this.exportOptions.combined) {
+            if (source === 'original') {
+                console.log('⚠️ 合并 PDF 使用转换后的 Markdown 渲染（--pdf-source=original 仅适用于逐篇导出）');
+            }
+            const scope = this.categories.length ? `${this.categories.join('、')} · ` : '';
+            const docTitle = this.exportOptions.title || `先知社区文章合集（${scope}${this.describeDateRange()}）`;
+            const toc = entries.map((entry, i) =>
+                `<li><a href="#article-${i + 1}">${this.escapeHtml((entry.title || '未知标题').trim())}</a> <span class="meta">${this.escapeHtml(entry.publishTime || '')}</span></li>`);
+            const cover = `<h1>${this.escapeHtml(docTitle)}</h1>
+<p class="meta">导出时间: ${new Date().toLocaleString('zh-CN')} · 文章数量: ${entries.length} 篇 · 时间范围: ${this.escapeHtml(this.describeDateRange())} · 来源: <a href="${this.baseUrl}">先知社区</a></p>
+<h2>目录</h2>
+<ol class="toc">
+${toc.join('\n')}
+</ol>`;
+            const sections = entries.map((entry, i) => this.buildPdfArticleSection(entry, { id: `article-${i + 1}`, pageBreak: true }));
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const outPath = this.exportOptions.output ? path.resolve(this.exportOptions.output) : path.join(this.outDir, 'pdf', `combined-${timestamp}.pdf`);
+            fs.mkdirSync(path.dirname(outPath), { recursive: true });
+            await this.renderMarkdownPdf(page, this.wrapPdfHtml(docTitle, cover + '\n' + sections.join('\n')), outPath, docTitle, this.baseUrl);
+            console.log(`✅ 已导出合并 PDF: ${outPath}（${entries.length} 篇）`);
+            return outPath;
+        }
+
+        let saved = 0;
+        const failed = [];
+        for (const entry of entries) {
+            if (this.aborted) break;
+            const outPath = this.getPdfPath(entry);
+            const title = (entry.title || '未知标题').trim();
+            try {
+                fs.mkdirSync(path.dirname(outPath), { recursive: true });
+                if (source === 'original') {
+                    await this.renderOriginalPdf(page, entry, outPath);
+                } else {
+                    await this.renderMarkdownPdf(page, this.wrapPdfHtml(title, this.buildPdfArticleSection(entry)), outPath, title, entry.link);
+                }
+                saved++;
+                console.log(`✅ 已导出 PDF: ${path.relative(this.outDir, outPath)}`);
+            } catch (error) {
+                failed.push(entry);
+                console.error(`❌ 导出 PDF 失败: ${title} -> ${error.message}`);
+            }
+        }
+        console.log(`\n=== PDF 导出报告 ===`);
+        console.log(`成功: ${saved} 篇，失败: ${failed.length} 篇，来源: ${source === 'original' ? '原文页面' : '转换后的 Markdown'}`);
+        return saved;
+    }
+
+    // ============ Static site ============
+    // 带语法高亮的 Markdown 渲染器（构建时完成高亮，站点离线可用）
+    getHighlightedMarked() {
+        if (!this._highlightedMarked) {
+            this._highlightedMarked = new Marked({
+                gfm: true,
+                renderer: {
+                    code: ({ text, lang }) => {
+                        const language = String(lang || '').trim().split(/\s+/)[0].toLowerCase();
+                        const body = language && hljs.getLanguage(language)
+                            ? hljs.highlight(text, { language, ignoreIllegals: true }).value
+                            : this.escapeHtml(text);
+                        return `<pre><code class="hljs${language ? ` language-${this.escapeHtml(language)}` : ''}">${body}</code></pre>\n`;
+                    }
+                }
+            });
+        }
+        return this._highlightedMarked;
+    }
+
+    // 文章正文来自抓取内容（可能夹带原始 HTML），渲染后移除脚本类元素、事件属性与 javascript: 等危险链接
+    sanitizeArticleDom(document) {
+        document.querySelectorAll('script, style, iframe, frame, frameset, object, embed, applet, base, link, meta, form, noscript')
+            .forEach(el => el.remove());
+        const urlAttrs = new Set(['href', 'src', 'xlink:href', 'action', 'formaction', 'poster', 'background', 'cite', 'srcset']);
+        document.querySelectorAll('*').forEach(el => {
+            Array.from(el.attributes).forEach(({ name, value }) => {
+                const attr = name.toLowerCase();
+                if (attr.startsWith('on') || attr === 'srcdoc') {
+                    el.removeAttribute(name);
+                    return;
+                }
+                if (!urlAttrs.has(attr)) return;
+                // 浏览器解析协议时会忽略空白与控制字符
+                const url = value.replace(/[\u0000-\u0020\u007F-\u009F]/g, '').toLowerCase();
+                const isInlineImage = el.tagName === 'IMG' && attr === 'src' && url.startsWith('data:image/');
+                if (/^(?:javascript|vbscript|data):/.test(url) && !isInlineImage) el.removeAttribute(name);
+            });
+        });
+        return document;
+    }
+
+    getSitePageName(entry) {
+        const id = entry.articleId || this.extractArticleId(entry.link) || this.sha1(String(entry.link || entry.fileName)).slice(0, 12);
+        return `articles/${this.sanitizeFileNamePart(id)}.html`;
+    }
+
+    renderSitePage({ title, body, depth = 0, scripts = [] }) {
+        const prefix = depth ? '../'.repeat(depth) : '';
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeHtml(title)} - 先知社区归档</title>
+<link rel="stylesheet" href="${prefix}assets/style.css">
+<link rel="stylesheet" href="${prefix}assets/highlight.css">
+</head>
+<body>
+<header class="site-nav">
+<a href="${prefix}index.html">首页</a>
+<a href="${prefix}dates.html">按日期</a>
+<a href="${prefix}categories.html">按分类</a>
+<a href="${prefix}authors.html">按作者</a>
+<a href="${prefix}search.html">搜索</a>
+</header>
+<main>
+${body}
+</main>
+${scripts.map(src => `<script src="${prefix}${src}"></script>`).join('\n')}
+</body>
+</html>
+`;
+    }
+
+    renderSiteArticleList(entries, prefix = '') {
+        return '<ul class="article-list">\n' + entries.map(entry => {
+            const meta = [entry.publishTime, entry.author, entry.category].filter(Boolean).map(v => this.escapeHtml(v)).join(' · ');
+            return `<li><a href="${prefix}${entry._sitePage}">${this.escapeHtml((entry.title || '未知标题').trim())}</a> <span class="meta">${meta}</span></li>`;
+        }).join('\n') + '\n</ul>';
+    }
+
+    // 分组索引页：顶部为分组导航，下方每个分组一个锚点小节
+    renderSiteGroupPage(title, groups) {
+        const names = Object.keys(groups);
+        const nav = '<p class="group-nav">' + names.map((name, i) =>
+            `<a href="#g-${i + 1}">${this.escapeHtml(name)}</a> <span class="meta">(${groups[name].length})</span>`).join(' · ') + '</p>';
+        const sections = names.map((name, i) =>
+            `<section id="g-${i + 1}">\n<h2>${this.escapeHtml(name)} <span class="meta">${groups[name].length} 篇</span></h2>\n${this.renderSiteArticleList(groups[name])}\n</section>`);
+        return this.renderSitePage({ title, body: `<h1>${this.escapeHtml(title)}</h1>\n${nav}\n${sections.join('\n')}` });
+    }
+
+    groupEntries(entries, keyOf) {
+        const groups = {};
+        entries.forEach(entry => {
+            const key = keyOf(entry);
+            (groups[key] = groups[key] || []).push(entry);
+        });
+        return groups;
+    }
+
+    getSiteStyles() {
+        return `body { margin: 0; font-family: -apple-system, "PingFang SC", "Microsoft YaHei", "Noto Sans CJK SC", sans-serif; line-height: 1.7; color: #24292f; background: #fff; }
+main { max-width: 960px; margin: 0 auto; padding: 16px 24px 48px; }
+.site-nav { background: #24292f; padding: 10px 24px; }
+.site-nav a { color: #fff; margin-right: 18px; text-decoration: none; }
+a { color: #0969da; }
+.meta { color: #6e7781; font-size: 0.85em; }
+.article-list { padding-left: 1.2em; }
+.article-list li { margin: 4px 0; }
+.group-nav { line-height: 2; }
+pre { background: #f6f8fa; padding: 12px; overflow-x: auto; border-radius: 6px; font-size: 0.85em; }
+code { font-family: Menlo, Consolas, "Courier New", monospace; }
+:not(pre) > code { background: #f6f8fa; padding: 1px 4px; border-radius: 4px; }
+img { max-width: 100%; }
+table { border-collapse: collapse; display: block; overflow-x: auto; }
+th, td { border: 1px solid #d0d7de; padding: 4px 10px; }
+blockquote { border-left: 4px solid #d0d7de; margin-left: 0; padding-left: 12px; color: #57606a; }
+.pager { display: flex; justify-content: space-between; margin-top: 32px; border-top: 1px solid #d0d7de; padding-top: 12px; }
+#search-input { width: 100%; font-size: 1.1em; padding: 8px; box-sizing: border-box; }
+.result { margin: 16px 0; }
+.result mark { background: #fff8c5; }
+`;
+    }
+
+    // 客户端检索：索引以 <script> 方式加载（window.XZ_SEARCH_INDEX），file:// 下无需 fetch
+    getSiteSearchScript() {
+        return `(function () {
+    var index = window.XZ_SEARCH_INDEX || [];
+    var input = document.getElementById('search-input');
+    var output = document.getElementById('search-results');
+    function escapeHtml(s) {
+        return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+    function snippet(text, term) {
+        var pos = text.toLowerCase().indexOf(term);
+        if (pos === -1) return escapeHtml(text.slice(0, 120));
+        var start = Math.max(0, pos - 50);
+        return (start > 0 ? '…' : '') + escapeHtml(text.slice(start, pos)) +
+            '<mark>' + escapeHtml(text.substr(pos, term.length)) + '</mark>' +
+            escapeHtml(text.slice(pos + term.length, pos + term.length + 70)) + '…';
+    }
+    function search() {
+        var terms = input.value.trim().toLowerCase().split(/\\s+/).filter(Boolean);
+        if (!terms.length) { output.innerHTML = ''; return; }
+        var hits = [];
+        index.forEach(function (doc) {
+            var title = doc.t.toLowerCase();
+            var body = doc.x.toLowerCase();
+            var score = 0;
+            for (var i = 0; i < terms.length; i++) {
+                var inTitle = title.indexOf(terms[i]) !== -1;
+                var inBody = body.indexOf(terms[i]) !== -1;
+                if (!inTitle && !inBody) return;
+                score += (inTitle ? 10 : 0) + (inBody ? 1 : 0);
+            }
+            hits.push({ doc: doc, score: score });
+        });
+        hits.sort(function (a, b) { return b.score - a.score || (b.doc.d > a.doc.d ? 1 : -1); });
+        output.innerHTML = '<p class="meta">找到 ' + hits.length + ' 篇</p>' + hits.slice(0, 100).map(function (h) {
+            return '<div class="result"><a href="' + h.doc.u + '">' + escapeHtml(h.doc.t) + '</a> <span class="meta">' +
+                escapeHtml([h.doc.d, h.doc.a, h.doc.c].filter(Boolean).join(' · ')) + '</span><br>' +
+                '<span class="meta">' + snippet(h.doc.x, terms[0]) + '</span></div>';
+        }).join('');
+    }
+    input.addEventListener('input', search);
+    var q = new URLSearchParams(location.search).get('q');
+    if (q) { input.value = q; search(); }
+})();
+`;
+    }
+
+    buildSite() {
+        const siteDir = this.exportOptions.output ? path.resolve(this.exportOptions.output) : path.join(this.outDir, 'site');
+        const papersDir = this.getPapersDir();
+        const entries = this.selectManifestEntries()
+            .map(entry => ({ ...entry, _sitePage: this.getSitePageName(entry) }))
+            .sort((a, b) => String(b.publishTime || '').localeCompare(String(a.publishTime || '')));
+        console.log(`🌐 生成静态站点: ${entries.length} 篇文章 -> ${siteDir}`);
+
+        fs.mkdirSync(path.join(siteDir, 'articles'), { recursive: true });
+        fs.mkdirSync(path.join(siteDir, 'assets'), { recursive: true });
+        fs.writeFileSync(path.join(siteDir, 'assets', 'style.css'), this.getSiteStyles(), 'utf8');
+        fs.copyFileSync(require.resolve('highlight.js/styles/github.css'), path.join(siteDir, 'assets', 'highlight.css'));
+        fs.writeFileSync(path.join(siteDir, 'assets', 'search.js'), this.getSiteSearchScript(), 'utf8');
+
+        // 分组（索引页与文章页中的作者/分类链接共用锚点）
+        const byMonth = this.groupEntries(entries, e => (String(e.publishTime || '').match(/^\d{4}-\d{2}/) || ['未知日期'])[0]);
+        const byCategory = this.groupEntries(
+            entries.slice().sort((a, b) => String(a.category || '').localeCompare(String(b.category || ''), 'zh-CN')),
+            e => e.category || '未分类');
+        const byAuthor = this.groupEntries(
+            entries.slice().sort((a, b) => String(a.author || '').localeCompare(String(b.author || ''), 'zh-CN')),
+            e => e.author || '未知作者');
+        // 分类/作者分组内仍按发布时间倒序
+        Object.values(byCategory).concat(Object.values(byAuthor)).forEach(list =>
+            list.sort((a, b) => String(b.publishTime || '').localeCompare(String(a.publishTime || ''))));
+        Object.values(byCategory).forEach((list, i) => list.forEach(e => { e._categoryAnchor = `g-${i + 1}`; }));
+        Object.values(byAuthor).forEach((list, i) => list.forEach(e => { e._authorAnchor = `g-${i + 1}`; }));
+
+        const md = this.getHighlightedMarked();
+        const searchIndex = [];
+        let copiedImages = 0;
+        entries.forEach((entry, i) => {
+            const title = (entry.title || '未知标题').trim();
+            const content = this.readArticleContent(entry);
+            const mdDir = path.dirname(path.join(papersDir, entry.fileName || ''));
+
+            // 本地图片复制到 site/images/，路径改写为相对文章页
+            const dom = new JSDOM(`<!DOCTYPE html><html><body>${md.parse(content || '暂无完整内容，请点击原文链接查看。')}</body></html>`);
+            const { document } = dom.window;
+            this.sanitizeArticleDom(document);
+            document.querySelectorAll('img').forEach(img => {
+                const src = img.getAttribute('src') || '';
+                if (!src || /^(https?:|data:)/i.test(src)) return;
+                const abs = path.resolve(mdDir, this.safeDecodeURI(src));
+                if (!fs.existsSync(abs)) return;
+                const target = path.join(siteDir, 'images', path.basename(abs));
+                if (!fs.existsSync(target)) {
+                    fs.mkdirSync(path.dirname(target), { recursive: true });
+                    fs.copyFileSync(abs, target);
+                    copiedImages++;
+                }
+                img.setAttribute('src', `../images/${encodeURIComponent(path.basename(abs))}`);
+            });
+
+            const counts = [['浏览', entry.views], ['评论', entry.comments], ['点赞', entry.likes], ['收藏', entry.favorites]]
+                .filter(([, n]) => typeof n === 'number')
+                .map(([label, n]) => `${label} ${n}`);
+            const meta = [
+                entry.author ? `作者: <a href="../authors.html#${entry._authorAnchor}">${this.escapeHtml(entry.author)}</a>` : '',
+                entry.publishTime ? `发布时间: ${this.escapeHtml(entry.publishTime)}` : '',
+                entry.category ? `分类: <a href="../categories.html#${entry._categoryAnchor}">${this.escapeHtml(entry.category)}</a>` : '',
+                counts.length ? counts.join(' · ') : '',
+                entry.tags && entry.tags.length ? `标签: ${entry.tags.map(t => this.escapeHtml(t)).join(', ')}` : '',
+                entry.link ? `原文链接: <a href="${this.escapeHtml(entry.link)}">${this.escapeHtml(entry.link)}</a>` : ''
+            ].filter(Boolean).join('<br>');
+            // entries 按发布时间倒序：上一篇为更早的文章
+            const older = entries[i + 1];
+            const newer = entries[i - 1];
+            const pager = `<nav class="pager"><span>${older ? `← <a href="../${older._sitePage}">${this.escapeHtml((older.title || '').trim())}</a>` : ''}</span><span>${newer ? `<a href="../${newer._sitePage}">${this.escapeHtml((newer.title || '').trim())}</a> →` : ''}</span></nav>`;
+            const page = this.renderSitePage({
+                title,
+                depth: 1,
+                body: `<article>\n<h1>${this.escapeHtml(title)}</h1>\n<p class="meta">${meta}</p>\n${document.body.innerHTML}\n</article>\n${pager}`
+            });
+            fs.writeFileSync(path.join(siteDir, entry._sitePage), page, 'utf8');
+
+            searchIndex.push({
+                t: title,
+                u: entry._sitePage,
+                d: entry.publishTime || '',
+                a: entry.author || '',
+                c: entry.category || '',
+                x: this.markdownToPlainText(content).replace(/\s+/g, ' ')
+            });
+        });
+
+        // 分组索引页
+        fs.writeFileSync(path.join(siteDir, 'dates.html'), this.renderSiteGroupPage('按日期', byMonth), 'utf8');
+        fs.writeFileSync(path.join(siteDir, 'categories.html'), this.renderSiteGroupPage('按分类', byCategory), 'utf8');
+        fs.writeFileSync(path.join(siteDir, 'authors.html'), this.renderSiteGroupPage('按作者', byAuthor), 'utf8');
+
+        const categoryLinks = Object.keys(byCategory).map((name, i) =>
+            `<a href="categories.html#g-${i + 1}">${this.escapeHtml(name)}</a> <span class="meta">(${byCategory[name].length})</span>`).join(' · ');
+        const home = `<h1>先知社区文章归档</h1>
+<p class="meta">共 ${entries.length} 篇文章 · 生成时间: ${new Date().toLocaleString('zh-CN')} · 来源: <a href="${this.baseUrl}">先知社区</a></p>
+<form action="search.html"><input id="search-input" name="q" placeholder="搜索标题与正文..."></form>
+<h2>分类</h2>
+<p class="group-nav">${categoryLinks}</p>
+<h2>最新文章</h2>
+${this.renderSiteArticleList(entries.slice(0, 50))}
+<p><a href="dates.html">查看全部 →</a></p>`;
+        fs.writeFileSync(path.join(siteDir, 'index.html'), this.renderSitePage({ title: '首页', body: home }), 'utf8');
+
+        fs.writeFileSync(path.join(siteDir, 'search-index.js'), `window.XZ_SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`, 'utf8');
+        const searchBody = `<h1>搜索</h1>
+<input id="search-input" placeholder="输入关键词，多个关键词用空格分隔" autofocus>
+<div id="search-results"></div>`;
+        fs.writeFileSync(path.join(siteDir, 'search.html'),
+            this.renderSitePage({ title: '搜索', body: searchBody, scripts: ['search-index.js', 'assets/search.js'] }), 'utf8');
+
+        console.log(`✅ 站点已生成: ${path.join(siteDir, 'index.html')}（文章页 ${entries.length} 个，复制图片 ${copiedImages} 张）`);
+        return siteDir;
+    }
+
+    // ============ Serve mode ============
+    // 清单在服务期间可能被另一个抓取进程更新，按修改时间重新加载
+    refreshManifestIfChanged() {
+        const manifestPath = this.getManifestPath();
+        let mtime = 0;
+        try { mtime = fs.statSync(manifestPath).mtimeMs; } catch (e) {}
+        if (mtime !== this._manifestMtime) {
+            // 仅首次加载时输出提示，之后的重新加载保持安静
+            const quiet = this._manifestMtime !== undefined;
+            this._manifestMtime = mtime;
+            this.loadManifest(quiet);
+        }
+    }
+
+    findEntryById(id) {
+        const value = String(id || '');
+        return this.getManifestArticles().find(entry =>
+            String(entry.articleId || this.extractArticleId(entry.link) || '') === value
+            || this.getSitePageName(entry) === `articles/${value}.html`) || null;
+    }
+
+    getEntryPlainText(entry) {
+        const cached = this._textCache.get(entry.link);
+        if (cached && cached.hash === entry.contentHash) return cached.text;
+        const text = this.markdownToPlainText(this.readArticleContent(entry)).replace(/\s+/g, ' ');
+        this._textCache.set(entry.link, { hash: entry.contentHash, text });
+        return text;
+    }
+
+    // 列表查询：category / author / start / end / q 过滤，sort / order 排序
+    queryArticles(query = {}) {
+        const lower = (v) => String(v || '').toLowerCase();
+        const terms = lower(query.q).trim().split(/\s+/).filter(Boolean);
+        let entries = this.getManifestArticles().filter(entry => {
+            const date = String(entry.publishTime || '').slice(0, 10);
+            if (query.category && lower(entry.category) !== lower(query.category)) return false;
+            if (query.author && lower(entry.author) !== lower(query.author) && String(entry.authorId || '') !== String(query.author)) return false;
+            if (query.start && (!date || date < query.start)) return false;
+            if (query.end && (!date || date > query.end)) return false;
+            return true;
+        });
+        if (terms.length) {
+            entries = entries
+                .map(entry => {
+                    const title = lower(entry.title);
+                    const text = lower(this.getEntryPlainText(entry));
+                    let score = 0;
+                    for (const term of terms) {
+                        const inTitle = title.includes(term);
+                        const inText = text.includes(term);
+                        if (!inTitle && !inText) return null;
+                        score += (inTitle ? 10 : 0) + (inText ? 1 : 0);
+                    }
+                    return { entry, score };
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score)
+                .map(hit => hit.entry);
+            if (!query.sort) return entries;
+        }
+        const sortFields = ['publishTime', 'updatedTime', 'views', 'comments', 'likes', 'favorites'];
+        const field = sortFields.includes(query.sort) ? query.sort : 'publishTime';
+        return this.sortArticles(entries.slice(), field, query.order === 'asc' ? 'asc' : 'desc');
+    }
+
+    renderServePage(title, body) {
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeHtml(title)} - 先知社区归档</title>
+<link rel="stylesheet" href="/assets/style.css">
+<link rel="stylesheet" href="/assets/highlight.css">
+</head>
+<body>
+<header class="site-nav"><a href="/">文章列表</a><a href="/api/articles">API</a></header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+    }
+
+    renderServeList(query) {
+        const entries = this.queryArticles(query);
+        const limit = 200;
+        const option = (value, label, current) => `<option value="${this.escapeHtml(value)}"${value === (current || '') ? ' selected' : ''}>${this.escapeHtml(label)}</option>`;
+        const all = this.getManifestArticles();
+        const uniq = (key) => Array.from(new Set(all.map(e => e[key]).filter(Boolean))).sort((a, b) => a.localeCompare(b, 'zh-CN'));
+        const form = `<form class="filters" method="get" action="/">
+<input name="q" value="${this.escapeHtml(query.q || '')}" placeholder="搜索标题与正文">
+<select name="category">${option('', '全部分类', query.category)}${uniq('category').map(c => option(c, c, query.category)).join('')}</select>
+<select name="author">${option('', '全部作者', query.author)}${uniq('author').map(a => option(a, a, query.author)).join('')}</select>
+<input type="date" name="start" value="${this.escapeHtml(query.start || '')}">
+<input type="date" name="end" value="${this.escapeHtml(query.end || '')}">
+<select name="sort">${option('', query.q ? '相关度' : '发布时间', query.sort)}${[['publishTime', '发布时间'], ['updatedTime', '更新时间'], ['views', '浏览'], ['comments', '评论'], ['likes', '点赞'], ['favorites', '收藏']].map(([v, l]) => option(v, l, query.sort)).join('')}</select>
+<select name="order">${option('desc', '降序', query.order || 'desc')}${option('asc', '升序', query.order)}</select>
+<button type="submit">筛选</button>
+</form>`;
+        const rows = entries.slice(0, limit).map(entry => {
+            const id = path.basename(this.getSitePageName(entry), '.html');
+            return `<tr><td><a href="/articles/${encodeURIComponent(id)}">${this.escapeHtml((entry.title || '未知标题').trim())}</a></td>`
+                + `<td>${this.escapeHtml(entry.category || '')}</td><td>${this.escapeHtml(entry.author || '')}</td>`
+                + `<td>${this.escapeHtml(entry.publishTime || '')}</td><td>${this.formatCount(entry.views)}</td></tr>`;
+        });
+        const body = `<h1>先知社区文章归档</h1>
+${form}
+<p class="meta">共 ${entries.length} 篇${entries.length > limit ? `，显示前 ${limit} 篇` : ''}</p>
+<table><thead><tr><th>标题</th><th>分类</th><th>作者</th><th>发布时间</th><th>浏览</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody></table>`;
+        return this.renderServePage('文章列表', body);
+    }
+
+    renderServeArticle(entry) {
+        const title = (entry.title || '未知标题').trim();
+        const papersDir = this.getPapersDir();
+        const mdDir = path.dirname(path.join(papersDir, entry.fileName || ''));
+        const content = this.readArticleContent(entry) || '暂无完整内容，请点击原文链接查看。';
+        const dom = new JSDOM(`<!DOCTYPE html><html><body>${this.getHighlightedMarked().parse(content)}</body></html>`);
+        const { document } = dom.window;
+        this.sanitizeArticleDom(document);
+        // 本地图片改写为 /images/（图片目录）或 /papers/ 下的绝对路径，由静态文件路由提供；
+        // obsidian/hugo/hexo 的图片目录不在文章目录内，需单独的路由
+        const imagesDir = this.getImagesDir();
+        const toUrlPath = (from, to) => path.relative(from, to).split(path.sep).map(encodeURIComponent).join('/');
+        document.querySelectorAll('img').forEach(img => {
+            const src = img.getAttribute('src') || '';
+            if (!src || /^(https?:|data:)/i.test(src)) return;
+            const abs = path.resolve(mdDir, this.safeDecodeURI(src));
+            img.setAttribute('src', abs.startsWith(imagesDir + path.sep)
+                ? `/images/${toUrlPath(imagesDir, abs)}`
+                : `/papers/${toUrlPath(papersDir, abs)}`);
+        });
+        const meta = [
+            entry.author ? `作者: <a href="/?author=${encodeURIComponent(entry.author)}">${this.escapeHtml(entry.author)}</a>` : '',
+            entry.publishTime ? `发布时间: ${this.escapeHtml(entry.publishTime)}` : '',
+            entry.category ? `分类: <a href="/?category=${encodeURIComponent(entry.category)}">${this.escapeHtml(entry.category)}</a>` : '',
+            entry.tags && entry.tags.length ? `标签: ${entry.tags.map(t => this.escapeHtml(t)).join(', ')}` : '',
+            entry.link ? `原文链接: <a href="${this.escapeHtml(entry.link)}">${this.escapeHtml(entry.link)}</a>` : ''
+        ].filter(Boolean).join('<br>');
+        return this.renderServePage(title, `<article>\n<h1>${this.escapeHtml(title)}</h1>\n<p class="meta">${meta}</p>\n${document.body.innerHTML}\n</article>`);
+    }
+
+    sendResponse(res, status, body, contentType = 'text/html; charset=utf-8') {
+        res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body), 'Cache-Control': 'no-cache' });
+        // HEAD 只返回响应头
+        res.end(res.req && res.req.method === 'HEAD' ? undefined : body);
+    }
+
+    sendJson(res, status, data) {
+        this.sendResponse(res, status, JSON.stringify(data, null, 2), 'application/json; charset=utf-8');
+    }
+
+    // 提供文章目录或图片目录下的静态文件（图片、Markdown），拒绝越出目录的路径
+    sendStaticFile(res, baseDir, relPath) {
+        const filePath = path.resolve(baseDir, relPath);
+        if (!filePath.startsWith(baseDir + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            return this.sendResponse(res, 404, 'Not Found', 'text/plain; charset=utf-8');
+        }
+        const types = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml', '.bmp': 'image/bmp', '.md': 'text/markdown; charset=utf-8' };
+        const type = types[path.extname(filePath).toLowerCase()];
+        if (!type) return this.sendResponse(res, 403, 'Forbidden', 'text/plain; charset=utf-8');
+        res.writeHead(200, { 'Content-Type': type, 'Content-Length': fs.statSync(filePath).size });
+        if (res.req && res.req.method === 'HEAD') return res.end();
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    handleServeRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const query = Object.fromEntries(url.searchParams.entries());
+        let pathname;
+        try {
+            pathname = decodeURIComponent(url.pathname);
+        } catch (error) {
+            return this.sendResponse(res, 400, 'Bad Request', 'text/plain; charset=utf-8');
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return this.sendResponse(res, 405, 'Method Not Allowed', 'text/plain; charset=utf-8');
+        }
+        this.refreshManifestIfChanged();
+
+        if (pathname === '/') return this.sendResponse(res, 200, this.renderServeList(query));
+        if (pathname === '/assets/style.css') return this.sendResponse(res, 200, this.getSiteStyles() + '.filters input, .filters select { margin: 2px 4px 2px 0; }\n', 'text/css; charset=utf-8');
+        if (pathname === '/assets/highlight.css') {
+            return this.sendResponse(res, 200, fs.readFileSync(require.resolve('highlight.js/styles/github.css')), 'text/css; charset=utf-8');
+        }
+        if (pathname.startsWith('/papers/')) return this.sendStaticFile(res, this.getPapersDir(), pathname.slice('/papers/'.length));
+        if (pathname.startsWith('/images/')) return this.sendStaticFile(res, this.getImagesDir(), pathname.slice('/images/'.length));
+
+        let m = pathname.match(/^\/articles\/([^/]+)$/);
+        if (m) {
+            const entry = this.findEntryById(m[1]);
+            return entry ? this.sendResponse(res, 200, this.renderServeArticle(entry)) : this.sendResponse(res, 404, this.renderServePage('未找到', '<h1>文章不存在</h1>'));
+        }
+
+        if (pathname === '/api/articles' || pathname === '/api/search') {
+            if (pathname === '/api/search' && !query.q) return this.sendJson(res, 400, { error: '缺少参数 q' });
+            const entries = this.queryArticles(query);
+            const offset = Math.max(0, Number(query.offset) || 0);
+            const limit = Math.min(1000, Math.max(1, Number(query.limit) || 50));
+            const articles = entries.slice(offset, offset + limit).map(entry => {
+                const { content, ...record } = this.buildExportRecord(entry);
+                record.contentHash = entry.contentHash || '';
+                if (query.q) record.snippet = this.makeSnippet(this.getEntryPlainText(entry), query.q);
+                return record;
+            });
+            return this.sendJson(res, 200, { schemaVersion: EXPORT_SCHEMA_VERSION, total: entries.length, offset, limit, articles });
+        }
+        m = pathname.match(/^\/api\/articles\/([^/]+)$/);
+        if (m) {
+            const entry = this.findEntryById(m[1]);
+            if (!entry) return this.sendJson(res, 404, { error: `文章不存在: ${m[1]}` });
+            const flag = (v) => v === '1' || v === 'true';
+            return this.sendJson(res, 200, this.buildExportRecord(
+                { ...entry, content: this.readArticleContent(entry) },
+                { withText: flag(query.text), withStructure: flag(query.structure) }
+            ));
+        }
+        return this.sendResponse(res, 404, 'Not Found', 'text/plain; charset=utf-8');
+    }
+
+    async serve() {
+        const host = this.serveOptions.host || '127.0.0.1';
+        const port = Number(this.serveOptions.port) || 8080;
+        const server = http.createServer((req, res) => {
+            try {
+                this.handleServeRequest(req, res);
+            } catch (error) {
+                console.error(`⚠️ 处理请求失败 ${req.url}: ${error.message}`);
+                if (!res.headersSent) this.sendResponse(res, 500, 'Internal Server Error', 'text/plain; charset=utf-8');
+            }
+        });
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, resolve);
+        });
+        console.log(`🌐 归档浏览服务已启动: http://${host}:${port}/ （清单 ${this.getManifestArticles().length} 篇，Ctrl-C 退出）`);
+        await new Promise(resolve => {
+            const stop = () => server.close(() => resolve());
+            process.once('SIGINT', stop);
+            process.once('SIGTERM', stop);
+        });
+        console.log('服务已停止');
+    }
+
+    // ============ Reconvert mode ============
+    // 将已下载到 papers/images/ 的图片重新映射为本地相对路径（与 localizeImagesInPapers 的命名规则一致）
+    applyLocalImages(markdown, mdPath) {
+        const imagesDir = this.getImagesDir();
+        let localized = 0;
+        const toLocal = (source, ext, alt) => {
+            const fileName = `${this.sha1(source).slice(0, 32)}${ext}`;
+            if (!fs.existsSync(path.join(imagesDir, fileName))) return null;
+            localized++;
+            return this.formatLocalImage(mdPath, fileName, alt);
+        };
+        let out = markdown.replace(/!\[([^\]]*)\]\((https?:[^)\s]+)(?:\s+"[^"]*")?\)/g, (full, alt, url) => {
+            return toLocal(url, this.inferImageExt(url), alt) || full;
+        });
+        out = out.replace(/!\[([^\]]*)\]\((data:image\/([a-zA-Z0-9.+-]+)[^)]*)\)/g, (full, alt, dataUrl, subtype) => {
+            const mime = subtype.toLowerCase();
+            let ext = '.jpg';
+            if (mime.includes('png')) ext = '.png';
+            else if (mime.includes('gif')) ext = '.gif';
+            else if (mime.includes('webp')) ext = '.webp';
+            else if (mime.includes('bmp')) ext = '.bmp';
+            else if (mime.includes('svg')) ext = '.svg';
+            else if (mime.includes('icon') || mime.includes('ico')) ext = '.ico';
+            return toLocal(dataUrl, ext, alt) || full;
+        });
+        // 本地化过的文件同样去掉内联 SVG 占位
+        if (localized > 0) {
+            out = out.replace(/!\[[^\]]*\]\(data:image\/svg\+xml;[^)]+\)/gi, '');
+        }
+        return out;
+    }
+
+    // 用当前转换器从归档的原始HTML重建所有文章的 Markdown，并报告发生变化的文件
+    reconvertArticles() {
+        const papersDir = this.getPapersDir();
+        const entries = Object.values(this.manifest.articles).filter(entry => entry.fileName);
+        console.log(`🔄 重新转换 ${entries.length} 篇文章...`);
+
+        const changed = [];
+        let unchanged = 0;
+        let missing = 0;
+        for (const entry of entries) {
+            const mdPath = path.join(papersDir, entry.fileName);
+            let html;
+            try {
+                html = this.readHtmlArchive(mdPath);
+            } catch (error) {
+                console.log(`读取HTML归档失败: ${entry.fileName} -> ${error.message}`);
+            }
+            if (!html) {
+                missing++;
+                continue;
+            }
+            const content = (this.convertHtmlToMarkdown(html) || '').trim() || '无法获取文章内容';
+            const article = { ...entry, content, extractedAt: entry.crawledAt };
+            const previous = fs.existsSync(mdPath) ? fs.readFileSync(mdPath, 'utf8') : null;
+            // 沿用文件原有的元信息样式与输出配置，只有正文转换结果变化时才重写
+            const { markdown, sameBody } = this.withOutputStyle(this.detectOutputStyle(previous), () => {
+                const rebuilt = this.applyLocalImages(this.generateSingleArticleMarkdown(article), mdPath);
+                return {
+                    markdown: rebuilt,
+                    sameBody: previous !== null && this.extractBodyFromMarkdown(previous) === this.extractBodyFromMarkdown(rebuilt)
+                };
+            });
+            if (sameBody) {
+                unchanged++;
+                continue;
+            }
+            changed.push(entry.fileName);
+            if (this.dryRun) continue;
+            fs.mkdirSync(path.dirname(mdPath), { recursive: true });
+            fs.writeFileSync(mdPath, markdown, 'utf8');
+            entry.contentHash = this.sha1(content);
+            this._manifestDirty = true;
+        }
+
+        console.log(`\n=== 重新转换报告 ===`);
+        console.log(`${this.dryRun ? '将变化' : '已更新'}: ${changed.length} 篇，未变化: ${unchanged} 篇，缺少HTML归档: ${missing} 篇`);
+        changed.forEach(fileName => console.log(`  ✏️ ${fileName}`));
+        return changed;
+    }
+
+    // 从已有文章文件推断写入时的元信息样式（front matter / 页脚 / 两者）与输出配置；文件不存在时沿用当前设置
+    detectOutputStyle(text) {
+        if (text === null || text === undefined) return { metaStyle: this.metaStyle, profile: this.profile };
+        const body = String(text).replace(/^\uFEFF/, '');
+        const fm = body.startsWith('---\n') ? body.slice(4, Math.max(4, body.indexOf('\n---\n', 4))) : null;
+        const footer = body.includes('> 本文档由先知社区爬虫自动生成');
+        const metaStyle = fm !== null ? (footer ? 'both' : 'front-matter') : 'footer';
+        // hugo / hexo 的文章目录与默认配置不同，只能是当前配置；default 与 obsidian 共用 papers/，按 front matter 区分
+        let profile = this.profile;
+        if (fm !== null && (profile === 'default' || profile === 'obsidian')) {
+            profile = /^aliases:/m.test(fm) ? 'obsidian' : 'default';
+        }
+        return { metaStyle, profile };
+    }
+
+    withOutputStyle(style, fn) {
+        const saved = { metaStyle: this.metaStyle, profile: this.profile };
+        Object.assign(this, style);
+        try {
+            return fn();
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+
+    generateFrontMatter(article) {
+        // JSON 字符串同时是合法的 YAML 双引号标量，可安全承载冒号、引号等字符
+        const str = (v) => JSON.stringify(String(v || ''));
+        const crawledAt = article.extractedAt ? new Date(article.extractedAt) : new Date();
+        if (this.profile !== 'default') {
+            return this.generateProfileFrontMatter(article, str) + '\n';
+        }
+        const lines = [
+            '---',
+            `title: ${str((article.title || '未知标题').trim())}`,
+            `link: ${str(article.link)}`,
+            `article_id: ${str(article.articleId || this.extractArticleId(article.link))}`,
+            `author: ${str(article.author)}`,
+            `category: ${str(article.category)}`,
+            `publish_time: ${str(article.publishTime)}`,
+            `crawl_time: ${str(Number.isNaN(crawledAt.getTime()) ? '' : crawledAt.toISOString())}`,
+            `tags: [${(article.tags || []).map(str).join(', ')}]`,
+            `content_hash: ${str(article.content ? this.sha1(article.content) : '')}`,
+            '---',
+            ''
+        ];
+        return lines.join('\n') + '\n';
+    }
+
+    // 发布时间 "2025-09-01 10:00" -> { date: '2025-09-01', time: '10:00:00' }
+    splitPublishTime(value) {
+        const m = String(value || '').match(/(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+        if (!m) return null;
+        return {
+            date: `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`,
+            time: `${(m[4] || '00').padStart(2, '0')}:${m[5] || '00'}:${m[6] || '00'}`
+        };
+    }
+
+    // Obsidian 标签不能包含空格与大部分标点
+    toObsidianTag(tag) {
+        return String(tag || '').trim().replace(/^#/, '').replace(/[\s,，.。:;'"!?()（）\[\]{}<>]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    generateProfileFrontMatter(article, str) {
+        const title = (article.title || '未知标题').trim();
+        const articleId = article.articleId || this.extractArticleId(article.link);
+        const published = this.splitPublishTime(article.publishTime);
+        const updated = this.splitPublishTime(article.updatedTime);
+        const list = (values) => `[${values.filter(Boolean).map(str).join(', ')}]`;
+        const lines = ['---', `title: ${str(title)}`];
+        if (this.profile === 'hugo') {
+            // 先知社区时间为北京时间
+            if (published) lines.push(`date: ${published.date}T${published.time}+08:00`);
+            if (updated) lines.push(`lastmod: ${updated.date}T${updated.time}+08:00`);
+            lines.push('draft: false');
+            lines.push(`author: ${str(article.author)}`);
+            lines.push(`categories: ${list([article.category])}`);
+            lines.push(`tags: ${list(article.tags || [])}`);
+            lines.push(`source: ${str(article.link)}`);
+            lines.push(`article_id: ${str(articleId)}`);
+        } else if (this.profile === 'hexo') {
+            if (published) lines.push(`date: ${published.date} ${published.time}`);
+            if (updated) lines.push(`updated: ${updated.date} ${updated.time}`);
+            lines.push(`author: ${str(article.author)}`);
+            lines.push(`categories: ${list([article.category])}`);
+            lines.push(`tags: ${list(article.tags || [])}`);
+            lines.push(`source: ${str(article.link)}`);
+            lines.push(`article_id: ${str(articleId)}`);
+        } else {
+            // obsidian：属性面板可识别的列表与日期
+            lines.push(`aliases: ${list([articleId ? `xz-${articleId}` : ''])}`);
+            lines.push(`tags: ${list((article.tags || []).map(t => this.toObsidianTag(t)))}`);
+            lines.push(`author: ${str(article.author)}`);
+            lines.push(`category: ${str(article.category)}`);
+            if (published) lines.push(`published: ${published.date}`);
+            lines.push(`source: ${str(article.link)}`);
+            lines.push(`article_id: ${str(articleId)}`);
+            lines.push(`content_hash: ${str(article.content ? this.sha1(article.content) : '')}`);
+        }
+        lines.push('---', '');
+        return lines.join('\n');
+    }
+
+    // Obsidian：正文中指向已归档文章的先知链接改为 [[wiki-link]]
+    linkArticlesForObsidian(content) {
+        const byId = new Map();
+        this.getManifestArticles().forEach(entry => {
+            const id = entry.articleId || this.extractArticleId(entry.link);
+            if (id && entry.fileName) byId.set(String(id), entry);
+        });
+        if (!byId.size) return content;
+        return content.replace(/(!?)\[([^\]]*)\]\((https?:\/\/xz\.aliyun\.com\/[^)\s]+)\)/g, (full, bang, text, url) => {
+            if (bang) return full;
+            const entry = byId.get(String(this.extractArticleId(url) || ''));
+            if (!entry) return full;
+            const note = `${this.getPapersRel()}/${entry.fileName.replace(/\.md$/i, '')}`;
+            return `[[${note}|${(text || entry.title || '').replace(/[\[\]|]/g, '')}]]`;
+        });
+    }
+
+    generateSingleArticleMarkdown(article) {
+        const safeTitle = (article.title || '未知标题').trim();
+        const withFrontMatter = this.metaStyle === 'front-matter' || this.metaStyle === 'both';
+        const withFooter = this.metaStyle === 'footer' || this.metaStyle === 'both';
+        let markdown = withFrontMatter ? this.generateFrontMatter(article) : '';
+        // hugo/hexo 主题从 front matter 渲染标题，正文不再重复
+        if (this.profile !== 'hugo' && this.profile !== 'hexo') {
+            markdown += `# ${safeTitle}\n\n`;
+        }
+        
+        // 文章完整内容
+        if (article.content && article.content) {
+            
+            // 更好的内容格式化
+            let formattedContent = this.profile === 'obsidian' ? this.linkArticlesForObsidian(article.content) : article.content;
+        
+            // 直接使用转换后的内容，避免对每行再包裹 ``` 造成代码块破碎
+            markdown += formattedContent + '\n\n';
+        } else {
+            markdown += `## 📖 文章内容\n\n`;
+            markdown += `> 暂无完整内容，请点击原文链接查看。\n\n`;
+        }
+        
+        // 添加页脚
+        if (withFooter) {
+            markdown += `---\n\n`;
+            markdown += `> 本文档由先知社区爬虫自动生成  \n`;
+            markdown += `> 原文链接: ${article.link}  \n`;
+            if (article.articleId) {
+                markdown += `> 文章 ID: ${article.articleId}  \n`;
+            }
+            if (article.author) {
+                markdown += `> 作者: ${article.authorUrl ? `[${article.author}](${article.authorUrl})` : article.author}  \n`;
+            }
+            if (article.publishTime) {
+                markdown += `> 发布时间: ${article.publishTime}${article.updatedTime ? `（更新于 ${article.updatedTime}）` : ''}  \n`;
+            }
+            const counts = [['浏览', article.views], ['评论', article.comments], ['点赞', article.likes], ['收藏', article.favorites]]
+                .filter(([, n]) => typeof n === 'number')
+                .map(([label, n]) => `${label} ${n}`);
+            if (counts.length) {
+                markdown += `> 数据: ${counts.join(' · ')}  \n`;
+            }
+            if (article.tags && article.tags.length) {
+                markdown += `> 标签: ${article.tags.join(', ')}  \n`;
+            }
+            if (article.board || article.category) {
+                markdown += `> 板块/分类: ${[article.board, article.category].filter(Boolean).join(' / ')}  \n`;
+            }
+            markdown += `> 爬取时间: ${new Date(article.extractedAt).toLocaleString('zh-CN')}  \n`;
+        }
+        
+        // 折叠连续多个“空行”（空行可包含空白符和不可见字符，如零宽空格、NBSP、BOM 等）为一个空行，且跳过代码块
+        const parts = markdown.split(/(```[\s\S]*?```)/g);
+        const blankLikeRun = /(?:^[\s\u00A0\u3000\u200B\u200C\u200D\u200E\u200F\u2060\uFEFF]*\r?\n){2,}/gm;
+        const normalizedMarkdown = parts
+            .map(p => p.startsWith('```')
+            ? p
+            : p
+                .replace(/\r\n?/g, '\n')      // 统一换行
+                .replace(blankLikeRun, '\n\n') // 折叠“空行”
+            )
+            .join('');
+        return normalizedMarkdown;
+    }
+
+    // 按 this.sortBy 排序（默认发布时间倒序）；计数字段缺失的文章排在最后
+    sortArticles(articles, field = this.sortBy, order = this.sortOrder) {
+        const dir = order === 'asc' ? 1 : -1;
+        const value = (article) => {
+            if (field === 'publishTime' || field === 'updatedTime') {
+                const t = new Date(article[field] || (field === 'updatedTime' ? article.publishTime : '')).getTime();
+                return Number.isNaN(t) ? null : t;
+            }
+            const n = article[field];
+            return typeof n === 'number' ? n : null;
+        };
+        return articles.sort((a, b) => {
+            const va = value(a);
+            const vb = value(b);
+            if (va === null && vb === null) return 0;
+            if (va === null) return 1;
+            if (vb === null) return -1;
+            return (va - vb) * dir;
+        });
+    }
+
+    formatCount(n) {
+        return typeof n === 'number' ? String(n) : '-';
+    }
+
+    // 全量归档索引：按年份、月份、分类、作者分节，覆盖清单中的全部文章
+    generateArchiveIndexMarkdown(articles) {
+        const sorted = this.sortArticles(articles.slice(), 'publishTime', 'desc');
+        const dates = sorted.map(a => (this.splitPublishTime(a.publishTime) || {}).date).filter(Boolean).sort();
+        const group = (keyOf) => {
+            const groups = {};
+            sorted.forEach(article => {
+                const key = keyOf(article);
+                (groups[key] = groups[key] || []).push(article);
+            });
+            return groups;
+        };
+        const line = (article) => {
+            const fileName = article.fileName || this.generateFileName(article);
+            const meta = [article.publishTime, article.author, article.category].filter(Boolean).join(' · ');
+            return `- ${this.formatSummaryLink(fileName, (article.title || '未知标题').trim())}${meta ? ` · ${meta}` : ''}\n`;
+        };
+        const byMonth = group(a => (String(a.publishTime || '').match(/^\d{4}-\d{2}/) || ['未知日期'])[0]);
+        const byYear = group(a => (String(a.publishTime || '').match(/^\d{4}/) || ['未知年份'])[0]);
+        const byCount = (groups) => Object.entries(groups).sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0], 'zh-CN'));
+        const byKeyDesc = (groups) => Object.entries(groups).sort((a, b) => b[0].localeCompare(a[0]));
+
+        let markdown = `# 先知社区文章归档索引\n\n`;
+        markdown += `> 🕒 生成时间: ${new Date().toLocaleString('zh-CN')}\n`;
+        markdown += `> 📊 文章总数: ${articles.length} 篇\n`;
+        if (dates.length) {
+            markdown += `> 📅 时间跨度: ${dates[0]} 至 ${dates[dates.length - 1]}\n`;
+        }
+        markdown += `> 🔗 来源: [先知社区](${this.baseUrl})\n\n`;
+        markdown += `目录: 按年份 · 按月份 · 按分类 · 按作者\n\n---\n\n`;
+
+        markdown += `## 📅 按年份\n\n`;
+        markdown += `| 年份 | 文章数 | 各月篇数 |\n|------|--------|----------|\n`;
+        byKeyDesc(byYear).forEach(([year, list]) => {
+            const months = byKeyDesc(byMonth)
+                .filter(([month]) => month.startsWith(`${year}-`))
+                .map(([month, monthList]) => `${month.slice(5)} 月 ${monthList.length}`)
+                .join(' · ');
+            markdown += `| ${year} | ${list.length} | ${months || '-'} |\n`;
+        });
+        markdown += `\n---\n\n`;
+
+        markdown += `## 🗓️ 按月份\n\n`;
+        byKeyDesc(byMonth).forEach(([month, list]) => {
+            markdown += `### ${month}（${list.length} 篇）\n\n`;
+            markdown += this.generateIndexTable(list);
+            markdown += `\n`;
+        });
+        markdown += `---\n\n`;
+
+        markdown += `## 🏷️ 按分类\n\n`;
+        byCount(group(a => a.category || '未分类')).forEach(([category, list]) => {
+            markdown += `### ${category}（${list.length} 篇）\n\n`;
+            list.forEach(article => { markdown += line(article); });
+            markdown += `\n`;
+        });
+        markdown += `---\n\n`;
+
+        markdown += `## 👤 按作者\n\n`;
+        byCount(group(a => a.author || '未知作者')).forEach(([author, list]) => {
+            const url = list.map(a => a.authorUrl).find(Boolean);
+            markdown += `### ${author}（${list.length} 篇）\n\n`;
+            if (url) markdown += `主页: ${url}\n\n`;
+            list.forEach(article => { markdown += line(article); });
+            markdown += `\n`;
+        });
+        return markdown;
+    }
+
+    // 扫描 papers/ 补录清单外的文章后，重新生成全量索引 SUMMARY-INDEX.md 与实时汇总
+    async rebuildSummary() {
+        if (this.backfillManifestFromPapers() > 0) {
+            this.saveManifest();
+        }
+        const articles = this.getManifestArticles();
+        await this.updateSummaryFile();
+        const indexPath = path.join(this.outDir, 'SUMMARY-INDEX.md');
+        fs.writeFileSync(indexPath, this.generateArchiveIndexMarkdown(articles), 'utf8');
+        console.log(`📚 全量索引已更新: ${path.basename(indexPath)}（共 ${articles.length} 篇）`);
+        return indexPath;
+    }
+
+    // 汇总中指向文章的链接；toolIndex 为 true 时使用各工具的索引格式（obsidian 的 SUMMARY 始终使用 wiki-link）
+    formatSummaryLink(fileName, text, { toolIndex = false, inTable = false } = {}) {
+        const noteName = fileName.replace(/\.md$/i, '');
+        if (this.profile === 'obsidian') {
+            return `[[${this.getPapersRel()}/${noteName}${inTable ? '\\|' : '|'}${text}]]`;
+        }
+        if (toolIndex && this.profile === 'hugo') {
+            return `[${text}]({{< ref "posts/${fileName}" >}})`;
+        }
+        if (toolIndex && this.profile === 'hexo') {
+            return `{% post_link "${noteName}" '${String(text).replace(/'/g, '’')}' %}`;
+        }
+        return `[${text}](${this.getPapersRel()}/${fileName})`;
+    }
+
+    // hugo/hexo 的站点内索引页：content/posts/_index.md 与 source/xianzhi/index.md
+    getToolIndexPath() {
+        if (this.profile === 'hugo') return path.join(this.getPapersDir(), '_index.md');
+        if (this.profile === 'hexo') return path.join(this.outDir, 'source', 'xianzhi', 'index.md');
+        return null;
+    }
+
+    generateToolIndex(articles) {
+        const title = JSON.stringify('先知社区文章归档');
+        const head = this.profile === 'hexo'
+            ? `---\ntitle: ${title}\nlayout: page\ncomments: false\n---\n\n`
+            : `---\ntitle: ${title}\n---\n\n`;
+        // 标题由 front matter 提供，去掉 Markdown 中的一级标题
+        return head + this.generateIndexMarkdown(articles, { toolIndex: true }, { wholeArchive: true }).replace(/^# [^\n]*\n\n/, '');
+    }
+
+    // wholeArchive 为 true 时列表来自完整清单，页眉按所列文章给出时间跨度，不显示本次运行的时间范围与过滤条件
+    generateIndexMarkdown(articles = this.articles, linkOptions = {}, { wholeArchive = false } = {}) {
+        // 按排序字段排列（默认发布时间倒序）
+        const sortedArticles = this.sortArticles(articles);
+
+        let markdown = `# 先知社区文章合集\n\n`;
+        markdown += `> 🕒 ${wholeArchive ? '更新时间' : '爬取时间'}: ${new Date().toLocaleString('zh-CN')}\n`;
+        markdown += `> 📊 文章数量: ${articles.length} 篇\n`;
+        if (wholeArchive) {
+            const dates = articles.map(a => (this.splitPublishTime(a.publishTime) || {}).date).filter(Boolean).sort();
+            if (dates.length) markdown += `> 📅 时间跨度: ${dates[0]} 至 ${dates[dates.length - 1]}\n`;
+        } else {
+            markdown += `> 📅 时间范围: ${this.describeDateRange()}\n`;
+        }
+        if (this.sortBy !== 'publishTime' || this.sortOrder !== 'desc') {
+            markdown += `> ↕️ 排序: ${this.sortBy} ${this.sortOrder}\n`;
+        }
+        if (!wholeArchive && this.hasActiveFilters()) {
+            markdown += `> 🔍 过滤条件: ${this.describeFilters()}\n`;
+        }
+        markdown += `> 🔗 来源: [先知社区](${this.baseUrl})\n\n`;
+
+        // 生成分类统计
+        const categoryStats = {};
+        articles.forEach(article => {
+            const cat = article.category || '未分类';
+            categoryStats[cat] = (categoryStats[cat] || 0) + 1;
+        });
+
+        markdown += `## 📊 分类统计\n\n`;
+        Object.entries(categoryStats)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([category, count]) => {
+                markdown += `- **${category}**: ${count} 篇\n`;
+            });
+        markdown += `\n---\n\n`;
+
+        // 生成板块统计（多板块/分类爬取时便于区分来源）
+        const boardStats = {};
+        articles.forEach(article => {
+            if (article.board) boardStats[article.board] = (boardStats[article.board] || 0) + 1;
+        });
+        if (Object.keys(boardStats).length > 1) {
+            markdown += `## 🗂️ 板块统计\n\n`;
+            Object.entries(boardStats)
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([board, count]) => {
+                    markdown += `- **${board}**: ${count} 篇\n`;
+                });
+            markdown += `\n---\n\n`;
+        }
+
+        // 生成文章目录
+        markdown += `## 📚 文章列表\n\n`;
+        if (this.summaryGroupBy === 'board' || this.summaryGroupBy === 'category') {
+            const fallbackName = this.summaryGroupBy === 'board' ? '未知板块' : '未分类';
+            const groups = {};
+            sortedArticles.forEach(article => {
+                const name = article[this.summaryGroupBy] || fallbackName;
+                (groups[name] = groups[name] || []).push(article);
+            });
+            Object.entries(groups)
+                .sort((a, b) => b[1].length - a[1].length)
+                .forEach(([name, list]) => {
+                    markdown += `### ${name}（${list.length} 篇）\n\n`;
+                    markdown += this.generateIndexTable(list, linkOptions);
+                    markdown += `\n`;
+                });
+        } else {
+            markdown += this.generateIndexTable(sortedArticles, linkOptions);
+        }
+        
+        markdown += `\n---\n\n`;
+        markdown += `> 💡 提示: 点击标题或文件链接可以查看具体文章内容\n`;
+        
+        return markdown;
+    }
+
+    generateIndexTable(articles, linkOptions = {}) {
+        let markdown = `| 序号 | 标题 | 分类 | 作者 | 发布时间 | 浏览 | 评论 | 点赞 | 文件 |\n`;
+        markdown += `|------|------|------|------|----------|------|------|------|------|\n`;
+        articles.forEach((article, index) => {
+            const fileName = article.fileName || this.generateFileName(article, index + 1);
+            const safeTitle = (article.title || '未知标题').trim();
+            const shortTitle = safeTitle.length > 50 ? 
+                safeTitle.substring(0, 50) + '...' : safeTitle;
+            
+            const link = (text) => this.formatSummaryLink(fileName, text, { ...linkOptions, inTable: true });
+            markdown += `| ${index + 1} | ${link(shortTitle)} | ${article.category || '未分类'} | ${article.author || '未知'} | ${article.publishTime || '未知'} | ${this.formatCount(article.views)} | ${this.formatCount(article.comments)} | ${this.formatCount(article.likes)} | ${link('📄')} |\n`;
+        });
+        return markdown;
+    }
+
+    generateMarkdownContent() {
+        // 按排序字段排列（默认发布时间倒序）
+        const sortedArticles = this.sortArticles(this.articles);
+
+        let markdown = `# 先知社区文章合集\n\n`;
+        markdown += `> 🕒 爬取时间: ${new Date().toLocaleString('zh-CN')}\n`;
+        markdown += `> 📊 文章数量: ${this.articles.length} 篇\n`;
+        markdown += `> 📅 时间范围: ${this.describeDateRange()}\n`;
+        markdown += `> 🔗 来源: [先知社区](${this.baseUrl})\n\n`;
+
+        // 生成目录
+        markdown += `## 📋 目录\n\n`;
+        sortedArticles.forEach((article, index) => {
+            const safeTitle = (article.title || '未知标题').trim();
+            const fileName = article.fileName || this.generateFileName(article, index + 1);
+            markdown += `${index + 1}. ${this.formatSummaryLink(fileName, safeTitle)}\n`;
+        });
+        markdown += `\n---\n\n`;
+
+        // 生成分类统计
         const categoryStats = {};
         this.articles.forEach(article => {
             const cat = article.category || '未分类';
@@ -807,6 +3750,14 @@ class XianzhiCrawler {
         return markdown;
     }
 
+    describeDateRange() {
+        if (this.startDate && this.endDate) return `${this.startDate.toISOString().slice(0,10)} 至 ${this.endDate.toISOString().slice(0,10)}`;
+        if (this.startDate) return `${this.startDate.toISOString().slice(0,10)} 之后`;
+        if (this.endDate) return `截至 ${this.endDate.toISOString().slice(0,10)}`;
+        if (this.targetDate) return `${this.targetDate.toISOString().slice(0,10)} 之后`;
+        return `未限制`;
+    }
+
     generateAnchor(title) {
         // 生成URL友好的锚点
         const safeTitle = (title || '未知').trim();
@@ -828,6 +3779,10 @@ class XianzhiCrawler {
         markdown += `| 📅 发布时间 | ${article.publishTime || '未知'} |\n`;
         markdown += `| 🏷️ 分类 | ${article.category || '未分类'} |\n`;
         markdown += `| 👤 作者 | ${article.author || '未知'} |\n`;
+        markdown += `| 👁️ 浏览/评论/点赞 | ${this.formatCount(article.views)} / ${this.formatCount(article.comments)} / ${this.formatCount(article.likes)} |\n`;
+        if (article.tags && article.tags.length) {
+            markdown += `| 🔖 标签 | ${article.tags.join(', ')} |\n`;
+        }
         markdown += `| 🔗 原文链接 | [点击查看](${article.link}) |\n\n`;
         
         // 文章摘要
@@ -854,565 +3809,7 @@ class XianzhiCrawler {
     }
 
     convertHtmlToMarkdown(html) {
-        try {
-            // 创建DOM实例进行解析
-            const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
-            const document = dom.window.document;
-            const body = document.body;
-            
-            // 递归转换DOM节点为Markdown
-            const markdown = this.convertDomNodeToMarkdown(body);
-            
-            // 标准化空白和换行
-            return markdown
-        } catch (error) {
-            console.log('HTML解析失败，使用备用方法:', error.message);
-            // 如果DOM解析失败，回退到简单的文本清理
-            return this.cleanHtmlTags(html);
-        }
-    }
-
-    convertDomNodeToMarkdown(node, context = {}) {
-        if (!node) return '';
-        
-        // 文本节点
-        if (node.nodeType === 3) { // TEXT_NODE
-            return this.escapeMarkdown(node.textContent);
-        }
-        
-        // 元素节点
-        if (node.nodeType === 1) { // ELEMENT_NODE
-            const tagName = node.tagName.toLowerCase();
-            const attributes = this.getElementAttributes(node);
-
-            // === 关键改动：对需要“原始HTML”的节点直接短路 ===
-            if (tagName === 'ne-card' && attributes['data-card-name'] === 'codeblock') {
-                // 直接用原始子树HTML提取代码块，避免递归后结构丢失
-                return this.extractCodeFromCard(node.innerHTML, attributes);
-            }
-            if (tagName === 'ne-table' || tagName === 'table') {
-                // 将原始HTML交给表格转换器
-                return `\n${this.convertTableToMarkdown(node.innerHTML)}\n\n`;
-            }
-            if (tagName === 'ne-code') {
-                // inline code: 使用原始文本内容，避免转义，再安全地用反引号包裹
-                const raw = (node.textContent || '').replace(/\n+/g, ' ');
-                const runs = raw.match(/`+/g);
-                let fenceLen = 1;
-                if (runs && runs.length) {
-                    fenceLen = Math.max(...runs.map(s => s.length)) + 1;
-                }
-                const fence = '`'.repeat(fenceLen);
-                const needsPadding = raw.startsWith('`') || raw.endsWith('`') || raw.startsWith(' ') || raw.endsWith(' ');
-                return needsPadding ? `${fence} ${raw} ${fence}` : `${fence}${raw}${fence}`;
-            }
-
-            let content = '';
-            
-            // 为子节点创建新的上下文
-            const childContext = { ...context };
-            if (tagName === 'ne-ol' || tagName === 'ol') {
-                childContext.parentListType = 'ordered';
-                childContext.listIndex = 0;
-            } else if (tagName === 'ne-ul' || tagName === 'ul') {
-                childContext.parentListType = 'unordered';
-            }
-            
-            // 递归处理子节点
-            for (let child of node.childNodes) {
-                if (child.nodeType === 1) {
-                    const ctn = child.tagName.toLowerCase();
-                    if (ctn === 'ne-li' || ctn === 'li' || ctn === 'ne-oli') {
-                        if (childContext.parentListType === 'ordered') {
-                            childContext.listIndex = (childContext.listIndex || 0) + 1;
-                        }
-                    }
-                }
-                content += this.convertDomNodeToMarkdown(child, childContext);
-            }
-            
-            return this.convertElementToMarkdown(tagName, attributes, content, context);
-        }
-        
-        return '';
-    }
-
-    getElementAttributes(element) {
-        const attrs = {};
-        for (let attr of element.attributes) {
-            attrs[attr.name] = attr.value;
-        }
-        return attrs;
-    }
-
-    convertElementToMarkdown(tagName, attributes, content, context = {}) {
-        switch (tagName) {
-            // ne-viewer 自定义标签
-            case 'ne-h1':
-                return `\n# ${content}\n\n`;
-            case 'ne-h2':
-                return `\n## ${content}\n\n`;
-            case 'ne-h3':
-                return `\n### ${content}\n\n`;
-            case 'ne-h4':
-                return `\n#### ${content}\n\n`;
-            case 'ne-h5':
-                return `\n##### ${content}\n\n`;
-            case 'ne-h6':
-                return `\n###### ${content}\n\n`;
-                
-            case 'ne-p':
-                // 移除填充器内容
-                if (content) {
-                    return `${content}\n\n`;
-                }
-                return '';
-                
-            case 'ne-hole':
-                // ne-hole 是容器，直接返回内容
-                return content;
-            case 'ne-text':
-                // 处理ne-text的样式属性
-                let styledContent = content;
-                if (attributes['ne-bold'] === 'true') {
-                    styledContent = `**${styledContent}**`;
-                }
-                if (attributes['ne-italic'] === 'true') {
-                    styledContent = `*${styledContent}*`;
-                }
-                if (attributes['ne-code'] === 'true') {
-                    styledContent = `\`${styledContent}\``;
-                }
-                if (attributes['ne-underline'] === 'true') {
-                    styledContent = `<u>${styledContent}</u>`;
-                }
-                if (attributes['ne-strikethrough'] === 'true') {
-                    styledContent = `~~${styledContent}~~`;
-                }
-                return styledContent;
-                
-            case 'ne-code': {
-                // ne-code 内联代码。content 可能已被转义，这里主要作为回退。
-                const raw = content.replace(/\n+/g, ' ');
-                const runs = raw.match(/`+/g);
-                let fenceLen = 1;
-                if (runs && runs.length) {
-                    fenceLen = Math.max(...runs.map(s => s.length)) + 1;
-                }
-                const fence = '`'.repeat(fenceLen);
-                const needsPadding = raw.startsWith('`') || raw.endsWith('`') || raw.startsWith(' ') || raw.endsWith(' ');
-                return needsPadding ? `${fence} ${raw} ${fence}` : `${fence}${raw}${fence}`;
-            }
-
-            case 'ne-codeblock':
-                // 在代码块上下文内，避免子元素再包裹内联反引号
-                const language = attributes['language'] || '';
-                // 标记上下文，防止子级 ne-code 处理
-                if (context) context.inCodeBlock = true;
-                const inner = content;
-                if (context) context.inCodeBlock = false;
-                return `\n\`\`\`${language}\n${inner}\n\`\`\`\n\n`;
-                
-            case 'ne-ul':
-                return `\n${content}\n`;
-                
-            case 'ne-ol':
-                return `\n${content}\n`;
-                
-            case 'ne-oli':
-                // 独立的列表项（ne-oli），根据上下文判断是否有序
-                if (context.parentListType === 'ordered') {
-                    const index = context.listIndex || 1;
-                    return `${index}. ${content}\n`;
-                } else {
-                    return `- ${content}\n`;
-                }
-
-            case 'ne-li':
-                // 使用上下文信息判断列表类型
-                if (context.parentListType === 'ordered') {
-                    const index = context.listIndex || 1;
-                    return `${index}. ${content}\n`;
-                } else {
-                    return `- ${content}\n`;
-                }
-
-            // 列表项内部结构
-            case 'ne-oli-i':
-                // 列表符号/编号（例如 •、1、a），保留下来并在后面追加空格
-                return content ? `${content} ` : '';
-            case 'ne-oli-c':
-                // 列表内容容器
-                return content;
-            case 'ne-list-symbol':
-                // 自定义符号不直接输出
-                return '';
-                
-            case 'ne-card':
-                // 检查卡片类型
-                const cardType = attributes['data-card-type'];
-                const cardName = attributes['data-card-name'];
-                
-                if (cardName === 'codeblock' || cardType === 'block') {
-                    // 这是代码块卡片，提取实际代码内容
-                    return this.extractCodeFromCard(content, attributes);
-                } else if (content.includes('![')) {
-                    // 图片卡片
-                    return `\n${content}\n\n`;
-                } else {
-                    // 其他类型的卡片
-                    return `\n> ${content}\n\n`;
-                }
-                
-            case 'ne-table-hole':
-            case 'ne-table-wrap':
-            case 'ne-table-inner-wrap':
-            case 'ne-table-box':
-                // 这些是包装器，直接返回内容
-                return content;
-                
-            case 'ne-table':
-            case 'table':
-                // 实际的表格元素，进行表格转换
-                return `\n${this.convertTableToMarkdown(content)}\n\n`;
-                
-            case 'ne-table-row':
-            case 'ne-tr':
-            case 'tr':
-                return content;
-                
-            case 'ne-table-cell':
-            case 'ne-td':
-            case 'td':
-            case 'th':
-                return content;
-                
-            case 'ne-td-content':
-                return content;
-                
-            case 'ne-td-break':
-                return ''; // 忽略单元格分隔符
-                
-            case 'colgroup':
-            case 'col':
-            case 'tbody':
-            case 'thead':
-            case 'tfoot':
-                return content; // 表格结构元素，返回内容
-                
-            // 标准HTML标签 - 仅保留基本格式化标签
-            case 'br':
-                return '\n';
-                
-            case 'a':
-                const href = attributes['href'] || '';
-                return href ? `[${content}](${href})` : content;
-                
-            case 'img':
-                const src = attributes['src'] || '';
-                const alt = attributes['alt'] || '图片';
-                return src ? `![${alt}](${src})` : '';
-                
-            // CodeMirror 相关元素
-            case 'div':
-                if (attributes['class'] && attributes['class'].includes('ne-image-error')) {
-                    return ''; // 忽略图片加载失败提示
-                }
-            case 'span':
-                const className = attributes['class'] || '';
-                
-                // 忽略填充器
-                if (className.includes('ne-viewer-b-filler') || attributes['ne-filler']) {
-                    return '';
-                }
-                
-            // CodeMirror 代码行 - 保持原样不添加换行，让extractCodeFromCard处理
-            if (className.includes('cm-line')) {
-                return content;
-            }                // 忽略 CodeMirror UI 组件
-                if (className.includes('cm-editor') ||
-                    className.includes('cm-scroller') ||
-                    className.includes('cm-content') ||
-                    className.includes('cm-gutter') ||
-                    className.includes('cm-cursor') ||
-                    className.includes('cm-selection') ||
-                    className.includes('cm-layer') ||
-                    className.includes('cm-announced') ||
-                    className.includes('ne-codeblock-copy') ||
-                    className.includes('ne-codeblock-inner') ||
-                    className.includes('ne-card-container') ||
-                    className.includes('ne-v-codeblock-hold')) {
-                    return content; // 返回内容，忽略容器本身
-                }
-                
-                // ne-viewer 特殊元素
-                if (className.includes('ne-code')) {
-                    // class 标识的内联代码
-                    const raw = content.replace(/\n+/g, ' ');
-                    const runs = raw.match(/`+/g);
-                    let fenceLen = 1;
-                    if (runs && runs.length) {
-                        fenceLen = Math.max(...runs.map(s => s.length)) + 1;
-                    }
-                    const fence = '`'.repeat(fenceLen);
-                    const needsPadding = raw.startsWith('`') || raw.endsWith('`') || raw.startsWith(' ') || raw.endsWith(' ');
-                    return needsPadding ? `${fence} ${raw} ${fence}` : `${fence}${raw}${fence}`;
-                }
-                if (className.includes('ne-codeblock')) {
-                    return content;
-                }
-                
-                // 对于其他 div/span，返回内容
-                return content;
-                
-            // 忽略的标签
-            case 'script':
-            case 'style':
-                return '';
-                
-            default:
-                // 未知标签，返回内容
-                return content;
-        }
-    }
-
-    convertTableToMarkdown(content) {
-        if (!content || !content) return '';
-
-        try {
-            // 使用临时根表包裹传入内容，确保选择器稳定
-            const dom = new JSDOM(`<!DOCTYPE html><html><body><table class="__root">${content}</table></body></html>`);
-            const document = dom.window.document;
-            const rootTable = document.querySelector('table.__root');
-            if (!rootTable) return '';
-
-            const rows = rootTable.querySelectorAll('tr, .ne-tr');
-            if (rows.length === 0) {
-                const cleanContent = this.cleanHtmlTags(content);
-                return cleanContent ? `\n\`\`\`\n${cleanContent}\n\`\`\`\n` : '';
-            }
-
-            const escapeCell = (s) => {
-                return (s || '')
-                    .replace(/\u200B|\uFEFF/g, '')     // 零宽字符
-                    .replace(/\u00A0/g, ' ')           // NBSP -> 空格
-                    .replace(/\r\n?/g, '\n')         // 统一换行
-                    .replace(/\|/g, '\\|')           // 转义管道
-                    .split('\n')
-                    .map(line => line.trimEnd())
-                    .join('<br>');                      // 单元格内换行 -> <br>
-            };
-
-            let markdown = '';
-            let headerEmitted = false;
-
-            for (let i = 0; i < rows.length; i++) {
-                const row = rows[i];
-                const cells = row.querySelectorAll('th, td, .ne-td');
-                if (cells.length === 0) continue;
-
-                const hasTh = row.querySelectorAll('th').length > 0;
-                const isHeaderRow = hasTh || (!headerEmitted && i === 0);
-
-                const cellContents = [];
-                for (let j = 0; j < cells.length; j++) {
-                    const cell = cells[j];
-
-                    const contentDiv = cell.querySelector('.ne-td-content');
-                    let cellMd = '';
-
-                    const collect = (node) => {
-                        if (!node) return;
-                        for (let child of node.childNodes) {
-                            cellMd += this.convertDomNodeToMarkdown(child);
-                        }
-                    };
-                    if (contentDiv) collect(contentDiv); else collect(cell);
-
-                    // 保留逻辑结构：合并多余空行，保留“换行 -> <br>”
-                    cellMd = cellMd.replace(/\n{2,}/g, '\n');
-                    cellContents.push(escapeCell(cellMd) || ' ');
-                }
-
-                markdown += '| ' + cellContents.join(' | ') + ' |\n';
-
-                if (!headerEmitted && isHeaderRow) {
-                    const separator = cellContents.map(() => '---').join(' | ');
-                    markdown += '| ' + separator + ' |\n';
-                    headerEmitted = true;
-                }
-            }
-
-            return markdown || `\n\`\`\`\n${this.cleanHtmlTags(content)}\n\`\`\`\n`;
-
-        } catch (error) {
-            console.log('表格解析失败，使用备用方法:', error.message);
-            const cleanContent = this.cleanHtmlTags(content);
-            return cleanContent ? `\n\`\`\`\n${cleanContent}\n\`\`\`\n` : '';
-        }
-    }
-
-    extractCodeFromCard(content, attributes = {}) {
-        // 从ne-card代码块中提取实际的代码内容
-        if (!content) {
-            // console.log('代码块内容为空');
-            return '';
-        }
-        
-        let language = '';
-        let codeContent = '';
-        
-        try {
-            // 创建DOM来解析代码块内容
-            const dom = new JSDOM(`<!DOCTYPE html><html><body>${content}</body></html>`);
-            const document = dom.window.document;
-            
-            // 尝试从data-codeblock-mode属性获取语言
-            const codeblockElement = document.querySelector('[data-codeblock-mode]');
-            if (codeblockElement) {
-                language = codeblockElement.getAttribute('data-codeblock-mode') || '';
-                // console.log('找到代码块语言(codeblock-mode):', language);
-            }
-            
-            // 如果没有找到，尝试从data-language属性获取
-            if (!language) {
-                const contentElement = document.querySelector('[data-language]');
-                if (contentElement) {
-                    language = contentElement.getAttribute('data-language') || '';
-                    // console.log('找到代码块语言(data-language):', language);
-                    // 处理shell -> bash的转换
-                    if (language === 'shell') {
-                        language = 'bash';
-                    }
-                }
-            }
-            
-            // 提取代码行内容
-            const codeLines = document.querySelectorAll('.cm-line');
-            // console.log(`代码块中找到 ${codeLines.length} 行代码`);
-            
-            if (codeLines.length > 0) {
-                const lines = [];
-                codeLines.forEach((line, index) => {
-                    // 直接获取文本内容，保留空格
-                    let lineText = '';
-                    
-                    // 遍历cm-line的所有子节点
-                    const walkNodes = (node) => {
-                        if (node.nodeType === 3) { // TEXT_NODE
-                            lineText += node.textContent;
-                        } else if (node.nodeType === 1) { // ELEMENT_NODE
-                            if (node.tagName.toLowerCase() === 'br') {
-                                // 行内 br 忽略，避免多一层换行
-                                return;
-                            }
-                            // 递归处理子节点
-                            for (let child of node.childNodes) {
-                                walkNodes(child);
-                            }
-                        }
-                    };
-                    
-                    for (let child of line.childNodes) {
-                        walkNodes(child);
-                    }
-                    
-                    if (index < 3) { // 只打印前3行作为调试
-                        // console.log(`  行 ${index + 1}: "${lineText}"`);
-                    }
-                    lines.push(lineText || ''); // 保留空行
-                });
-                codeContent = lines.join('\n');
-            } else {
-                // 兜底：从常见容器拉取纯文本
-                const fallback =
-                    document.querySelector('.cm-content') ||
-                    document.querySelector('.ne-codeblock-inner') ||
-                    document.querySelector('pre code') ||
-                    document.querySelector('pre') ||
-                    document.querySelector('code');
-                if (fallback) {
-                    codeContent = fallback.textContent || '';
-                }
-            }
-            
-        } catch (error) {
-            console.log('代码块解析失败，使用备用方法:', error.message);
-            // 备用方法：直接清理HTML标签
-            codeContent = this.cleanHtmlTags(content, true);
-            
-            // 尝试从内容中提取语言标识符
-            const languageMatch = content.match(/data-codeblock-mode="([^"]+)"/i) || 
-                                 content.match(/data-language="([^"]+)"/i);
-            if (languageMatch) {
-                language = languageMatch[1].toLowerCase();
-                if (language === 'shell') {
-                    language = 'bash';
-                }
-            }
-        }
-        
-        // 清理代码内容
-        codeContent = codeContent
-            .replace(/\u200B/g, ''); // 移除零宽度空格
-        
-        // 如果内容不为空，格式化为代码块
-        if (codeContent.length > 0) {
-            return `\n\`\`\`${language}\n${codeContent}\n\`\`\`\n\n`;
-        }
-        
-        return '';
-    }
-
-    escapeMarkdown(text) {
-        if (!text) return '';
-        
-        // 转换HTML实体
-        let out = text
-            .replace(/&nbsp;/g, ' ')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&amp;/g, '&')
-            .replace(/&quot;/g, '"')
-            .replace(/&#39;/g, "'")
-            .replace(/&hellip;/g, '...');
-
-        // 为了避免 Markdown 将 <...> 解析为 HTML 标签，统一转义尖括号
-        // 代码块与内联代码不会走到这里（有各自处理），因此这里的全局转义是安全的
-        out = out.replace(/</g, '&lt;').replace(/>/g, '&gt;');
-        return out;
-    }
-    
-    cleanHtmlTags(html, preserveWhitespace = false) {
-        if (!html) return '';
-        
-        let cleaned = html
-            .replace(/<script[^>]*>.*?<\/script>/gis, '') // 移除脚本
-            .replace(/<style[^>]*>.*?<\/style>/gis, '') // 移除样式
-            .replace(/<[^>]+>/g, ''); // 移除HTML标签
-        
-        if (!preserveWhitespace) {
-            cleaned = cleaned
-                .replace(/&nbsp;/g, ' ') // 转换HTML实体
-                .replace(/&lt;/g, '<')
-                .replace(/&gt;/g, '>')
-                .replace(/&amp;/g, '&')
-                .replace(/&quot;/g, '"')
-                .replace(/&#39;/g, "'")
-                .replace(/\s+/g, ' ') // 多个空白字符合并为一个空格
-                ;
-        } else {
-            // 对于代码块，保持原有格式
-            cleaned = cleaned
-                .replace(/&nbsp;/g, ' ')
-                .replace(/&lt;/g, '<')
-                .replace(/&gt;/g, '>')
-                .replace(/&amp;/g, '&')
-                .replace(/&quot;/g, '"')
-                .replace(/&#39;/g, "'");
-        }
-        
-        return cleaned;
+        return this.converter.convert(html);
     }
 
     generateReport() {
@@ -1450,6 +3847,19 @@ class XianzhiCrawler {
                 console.log(`  ${date}: ${count} 篇`);
             });
 
+        // 跳过统计
+        const skipLabels = { date: '时间范围外', known: '已归档（增量）', keyword: '标题关键词/正则', author: '作者', category: '分类' };
+        const skipped = Object.entries(this.skipStats).filter(([, count]) => count > 0);
+        if (skipped.length) {
+            console.log('\n跳过统计:');
+            if (this.hasActiveFilters()) {
+                console.log(`  过滤条件: ${this.describeFilters()}`);
+            }
+            skipped.forEach(([reason, count]) => {
+                console.log(`  ${skipLabels[reason] || reason}: ${count} 篇`);
+            });
+        }
+
         // 最新文章
         console.log('\n最新5篇文章:');
         this.articles
@@ -1462,8 +3872,8 @@ class XianzhiCrawler {
 
     // ============ Images-only mode helpers ============
     async localizeImagesInPapers() {
-        const papersDir = path.join(__dirname, 'papers');
-        const imagesDir = path.join(papersDir, 'images');
+        const papersDir = this.getPapersDir();
+        const imagesDir = this.getImagesDir();
 
         if (!fs.existsSync(papersDir)) {
             console.log('papers 文件夹不存在，跳过');
@@ -1474,7 +3884,7 @@ class XianzhiCrawler {
             console.log(`创建文件夹: ${imagesDir}`);
         }
 
-        const all = fs.readdirSync(papersDir).filter(f => f.toLowerCase().endsWith('.md'));
+        const all = this.listMarkdownFiles(papersDir);
         if (all.length === 0) {
             console.log('papers 下没有 Markdown 文件，跳过');
             return;
@@ -1486,32 +3896,33 @@ class XianzhiCrawler {
         let downloaded = 0;
         for (const mdName of all) {
             const mdPath = path.join(papersDir, mdName);
+            // 图片统一存放在图片目录（默认 papers/images/），引用格式由 formatLocalImage 按输出配置决定
             // 去掉内联 SVG 占位（例如“图片加载失败”图标），避免误识别为需下载图片
             const raw = fs.readFileSync(mdPath, 'utf8').replace(/!\[[^\]]*\]\(data:image\/svg\+xml;[^)]+\)/gi, '');
 
             // http/https 图片
-            const imageRegex = /!\[[^\]]*\]\((https?:[^)\s]+)(?:\s+"[^"]*")?\)/g;
+            const imageRegex = /!\[([^\]]*)\]\((https?:[^)\s]+)(?:\s+"[^"]*")?\)/g;
             const tasks = [];
             let match;
             while ((match = imageRegex.exec(raw)) !== null) {
                 totalImages++;
                 const full = match[0];
-                const url = match[1];
+                const url = match[2];
                 const hashed = this.sha1(url).slice(0, 32);
                 const ext = this.inferImageExt(url);
                 const fileName = `${hashed}${ext}`;
                 const localPath = path.join(imagesDir, fileName);
-                const localRel = `images/${fileName}`;
-                tasks.push({ full, url, localPath, localRel, ok: false });
+                const localRef = this.formatLocalImage(mdPath, fileName, match[1]);
+                tasks.push({ full, url, localPath, localRef, ok: false });
             }
 
             // data:image 图片（支持 base64 与非 base64 载荷）
-            const dataRegex = /!\[[^\]]*\]\((data:image\/[a-zA-Z0-9.+-]+(?:;charset=[^;,)]+)?(?:;base64)?,[^)]+)(?:\s+"[^"]*")?\)/g;
+            const dataRegex = /!\[([^\]]*)\]\((data:image\/[a-zA-Z0-9.+-]+(?:;charset=[^;,)]+)?(?:;base64)?,[^)]+)(?:\s+"[^"]*")?\)/g;
             const dataTasks = [];
             while ((match = dataRegex.exec(raw)) !== null) {
                 totalImages++;
                 const full = match[0];
-                const dataUrl = match[1];
+                const dataUrl = match[2];
                 // MIME
                 const mimeMatch = /^data:([^;,]+)(?:;charset=[^;,]+)?(?:;base64)?,/i.exec(dataUrl);
                 const mime = mimeMatch ? mimeMatch[1].toLowerCase() : 'image/jpeg';
@@ -1526,8 +3937,8 @@ class XianzhiCrawler {
                 const hashed = this.sha1(dataUrl).slice(0, 32);
                 const fileName = `${hashed}${ext}`;
                 const localPath = path.join(imagesDir, fileName);
-                const localRel = `images/${fileName}`;
-                dataTasks.push({ full, dataUrl, localPath, localRel, ok: false });
+                const localRef = this.formatLocalImage(mdPath, fileName, match[1]);
+                dataTasks.push({ full, dataUrl, localPath, localRef, ok: false });
             }
 
             if (tasks.length === 0 && dataTasks.length === 0) continue;
@@ -1577,12 +3988,12 @@ class XianzhiCrawler {
             const replacements = [];
             for (const t of tasks) {
                 if (t.ok) {
-                    replacements.push({ full: t.full, repl: t.full.replace(t.url, t.localRel) });
+                    replacements.push({ full: t.full, repl: t.localRef });
                 }
             }
             for (const t of dataTasks) {
                 if (t.ok) {
-                    replacements.push({ full: t.full, repl: t.full.replace(t.dataUrl, t.localRel) });
+                    replacements.push({ full: t.full, repl: t.localRef });
                 }
             }
 
@@ -1649,6 +4060,7 @@ class XianzhiCrawler {
         });
     }
     async close() {
+        this.closeDb();
         if (this.browser) {
             await this.browser.close();
             console.log('浏览器已关闭');
@@ -1662,10 +4074,83 @@ class XianzhiCrawler {
                 return;
             }
 
+            if (this.command === 'search') {
+                // 检索不应顺带创建空库
+                if (!fs.existsSync(this.getDbPath())) {
+                    console.error(`未找到 SQLite 归档库: ${this.getDbPath()}`);
+                    console.error('请先执行 node xianzhi_crawler.js db-import 导入已有归档，或抓取时加上 --sqlite');
+                    process.exitCode = 1;
+                    return;
+                }
+                const results = this.searchArchive(this.searchOptions);
+                this.printSearchResults(results, this.searchOptions.query);
+                return;
+            }
+
+            if (this.command === 'export') {
+                this.loadManifest();
+                await this.exportArchive();
+                return;
+            }
+
+            if (this.command === 'build-site') {
+                this.loadManifest();
+                this.buildSite();
+                return;
+            }
+
+            if (this.command === 'serve') {
+                this.refreshManifestIfChanged();
+                await this.serve();
+                return;
+            }
+
+            if (this.command === 'rebuild-summary') {
+                this.loadManifest();
+                await this.rebuildSummary();
+                return;
+            }
+
+            if (this.command === 'db-import') {
+                this.loadManifest();
+                this.importArchiveToDb();
+                return;
+            }
+
+            if (this.command === 'reconvert') {
+                this.loadManifest();
+                this.reconvertArticles();
+                if (!this.dryRun) this.saveManifest();
+                return;
+            }
+
+            if (this.command === 'rename-files') {
+                this.loadManifest();
+                this.migrateFileNames();
+                if (this.dryRun) {
+                    this._manifestDirty = false; // 预演模式不落盘
+                } else {
+                    await this.updateSummaryFile();
+                }
+                return;
+            }
+
             this.setupSignalHandlers();
+            this.loadManifest();
             await this.init();
-            await this.navigateToNews();
-            await this.scrapeArticles();
+            if (this.retryFailures) {
+                // 仅重放失败列表，不访问列表页
+                await this.retryFailedArticles();
+            } else if (this.authorProfile) {
+                // 翻阅作者主页的文章列表
+                await this.crawlAuthor();
+            } else if (this.urls.length || this.urlFiles.length) {
+                // 直接抓取指定链接，不访问列表页
+                await this.crawlUrls();
+            } else {
+                await this.navigateToNews();
+                await this.scrapeCategories();
+            }
             await this.saveResults();
             // 抓取完成后，按需本地化图片
             if (this.image && !this.aborted) {
@@ -1674,8 +4159,10 @@ class XianzhiCrawler {
             }
         } catch (error) {
             console.error('爬取过程中出错:', error);
+            process.exitCode = 1;
         } finally {
             if (!this.imagesOnly) {
+                this.saveManifest();
                 await this.close();
             }
             this.teardownSignalHandlers();
@@ -1711,26 +4198,84 @@ class XianzhiCrawler {
         }
     }
 }
+// 从文件（支持 .gz）或 stdin 读取 HTML，转换后写到 stdout
+async function convertCommand(input, args) {
+    let buffer;
+    try {
+        if (!input || input === '-') {
+            const chunks = [];
+            for await (const chunk of process.stdin) chunks.push(chunk);
+            buffer = Buffer.concat(chunks);
+        } else {
+            buffer = fs.readFileSync(input);
+        }
+        if (buffer[0] === 0x1f && buffer[1] === 0x8b) buffer = zlib.gunzipSync(buffer);
+    } catch (error) {
+        console.error(`读取输入失败: ${error.message}`);
+        console.error('用法: node xianzhi_crawler.js convert [file.html|file.html.gz|-] [--selector=<css>]');
+        process.exitCode = 1;
+        return;
+    }
+    const converter = new NeViewerConverter({
+        selector: typeof args['selector'] === 'string' ? args['selector'] : '.ne-viewer-body',
+        escapeHtml: args['escape-html'] !== 'false',
+        logger: { log: (...items) => console.error(...items) }
+    });
+    const markdown = (converter.convert(buffer.toString('utf8')) || '').trim();
+    process.stdout.write(markdown ? `${markdown}\n` : '');
+}
+
 // 运行爬虫
 async function main() {
     // 创建爬虫实例，支持 CLI/ENV/配置文件 参数化
     const argv = process.argv.slice(2);
 
-    // 简单的 argv 解析器：支持 --key=value 或 --flag 形式
+    // 简单的 argv 解析器：支持 --key=value 或 --flag 形式；值中可包含 "="
+    // 可重复的多值参数收集为数组，其余参数重复传入时以最后一次为准
+    const multiValueKeys = new Set([
+        'url', 'url-file', 'category', 'categories',
+        'keyword', 'include-keyword', 'exclude-keyword',
+        'include-author', 'exclude-author', 'include-category', 'exclude-category',
+    ]);
     const parseArgv = (args) => {
         const out = {};
         for (const a of args) {
             if (!a.startsWith('--')) continue;
-            const [k, v] = a.replace(/^--/, '').split('=');
-            if (v === undefined) {
-                out[k] = true;
-            } else {
+            const body = a.replace(/^--/, '');
+            const eq = body.indexOf('=');
+            const k = eq === -1 ? body : body.slice(0, eq);
+            const v = eq === -1 ? true : body.slice(eq + 1);
+            if (out[k] === undefined || !multiValueKeys.has(k)) {
                 out[k] = v;
+            } else {
+                out[k] = [].concat(out[k], v);
             }
         }
         return out;
     };
     const args = parseArgv(argv);
+    // 子命令：第一个非 -- 开头的参数，例如 `retry failures-xxx.json`
+    const positionals = argv.filter(a => !a.startsWith('--'));
+    const command = positionals[0] || null;
+    const commands = ['retry', 'convert', 'search', 'export', 'build-site', 'serve', 'rebuild-summary', 'db-import', 'reconvert', 'rename-files'];
+    if (command && !commands.includes(command)) {
+        // 拼错的子命令不应退化为在线抓取
+        console.error(`未知的子命令: ${command}`);
+        console.error(`用法: node xianzhi_crawler.js [${commands.join('|')}] [--参数...]（不带子命令时抓取列表页）`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // export --output=- 时 stdout 只输出导出数据，所有提示信息改写到 stderr
+    if (command === 'export' && args['output'] === '-') {
+        console.log = (...items) => console.error(...items);
+    }
+
+    // convert 子命令：`convert [file|-] [--selector=.ne-viewer-body]`，Markdown 写到 stdout，提示信息写到 stderr
+    if (command === 'convert') {
+        await convertCommand(positionals[1], args);
+        return;
+    }
 
     // 可选：读取配置文件 config.json
     let fileCfg = {};
@@ -1745,13 +4290,16 @@ async function main() {
     }
 
     // 优先级：CLI > ENV > config.json > 默认
+    // HOST、PORT 等通用名称常被容器/托管平台占用，这些参数只读取带 XZ_ 前缀的环境变量
+    const prefixedEnvKeys = new Set(['host', 'port', 'profile', 'format', 'sort', 'sortBy', 'order', 'sortOrder']);
     const envGet = (key) => {
-        const cased = [
+        let cased = [
             key,
             key.toUpperCase(),
             key.replace(/-/g, '_').toUpperCase(),
             key.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase(), // camelCase -> SNAKE_CASE
         ];
+        if (prefixedEnvKeys.has(key)) cased = cased.map(k => `XZ_${k.toUpperCase()}`);
         for (const k of cased) {
             if (process.env[k] !== undefined) return process.env[k];
         }
@@ -1779,6 +4327,114 @@ async function main() {
     const targetDate = pick(['targetDate', 'target-date'], undefined);
     const concurrencyRaw = pick(['concurrency', 'conc', 'parallel'], 3);
     const concurrency = Number(concurrencyRaw) > 0 ? Number(concurrencyRaw) : 3;
+    const incrementalRaw = pick(['incremental'], false);
+    const incremental = incrementalRaw === true || incrementalRaw === 'true';
+    const retriesRaw = pick(['retries'], 1);
+    const retries = Number(retriesRaw) >= 0 ? Number(retriesRaw) : 1;
+    const retryDelayRaw = pick(['retryDelay', 'retry-delay'], 800);
+    const retryBaseDelay = Number(retryDelayRaw) > 0 ? Number(retryDelayRaw) : 800;
+    let retryFailures = args['retry-failures'];
+    if (command === 'retry') {
+        retryFailures = positionals[1] || retryFailures;
+    }
+    if (retryFailures === true || (command === 'retry' && !retryFailures)) {
+        console.error('用法: node xianzhi_crawler.js retry <failures-xxx.json>（或 --retry-failures=<file>）');
+        process.exitCode = 1;
+        return;
+    }
+
+    // 指定文章链接：--url 可重复，--url-file 每行一个
+    const urls = [].concat(args['url'] || []).filter(u => u !== true);
+    const urlFiles = [].concat(args['url-file'] || []).filter(f => f !== true);
+
+    // 板块与分类：--category 支持逗号分隔或重复传入
+    const board = pick(['board'], undefined);
+    const categories = [].concat(pick(['category', 'categories'], []))
+        .filter(c => c !== true && c !== null && c !== undefined)
+        .flatMap(c => String(c).split(','))
+        .map(c => c.trim())
+        .filter(Boolean);
+    const summaryGroupBy = pick(['groupBy', 'group-by'], undefined);
+
+    // 汇总排序：--sort=views --order=desc
+    const sortBy = pick(['sort', 'sortBy'], undefined);
+    const sortOrder = pick(['order', 'sortOrder'], undefined);
+
+    // 单篇文章元信息：--front-matter 等价于 --meta-style=front-matter
+    const frontMatterRaw = pick(['frontMatter', 'front-matter'], false);
+    const metaStyle = pick(['metaStyle', 'meta-style'], (frontMatterRaw === true || frontMatterRaw === 'true') ? 'front-matter' : undefined);
+
+    // 输出配置：--profile=obsidian|hugo|hexo
+    const profile = pick(['profile'], undefined);
+
+    // 文件名模板：--filename-template={date}_{id}_{title}
+    const fileNameTemplate = pick(['fileNameTemplate', 'filename-template'], undefined);
+    const dryRun = args['dry-run'] === true || args['dry-run'] === 'true';
+
+    // 输出目录与布局：--out-dir=/data/xz-archive --layout=year-month
+    const outDir = pick(['outDir', 'out-dir'], undefined);
+    const layout = pick(['layout'], undefined);
+    const archiveHtmlRaw = pick(['archiveHtml', 'archive-html'], true);
+    const archiveHtml = !(archiveHtmlRaw === false || archiveHtmlRaw === 'false');
+
+    // SQLite 归档：--sqlite 开启写入，--db=<path> 指定文件（指定即视为开启）
+    const dbPath = pick(['db', 'dbPath'], undefined);
+    const sqliteRaw = pick(['sqlite'], false);
+    const sqlite = sqliteRaw === true || sqliteRaw === 'true' || (typeof dbPath === 'string' && dbPath.length > 0);
+    // search 子命令：`search <关键词...> [--author=] [--category=] [--limit=]`
+    const searchOptions = command === 'search' ? {
+        query: positionals.slice(1).join(' '),
+        author: typeof args['author'] === 'string' ? args['author'] : undefined,
+        categories,
+        limit: args['limit'],
+    } : undefined;
+
+    // 结构化输出：抓取时 --format=jsonl；export 子命令 --format=json|jsonl|csv
+    const format = pick(['format'], undefined);
+    const flag = (key) => args[key] === true || args[key] === 'true';
+    const exportOptions = {
+        output: typeof args['output'] === 'string' ? args['output'] : undefined,
+        withText: flag('with-text'),
+        withStructure: flag('with-structure'),
+        title: typeof args['title'] === 'string' ? args['title'] : undefined,
+        summary: typeof args['summary'] === 'string' ? args['summary'] : undefined,
+        pdfSource: typeof args['pdf-source'] === 'string' ? args['pdf-source'] : undefined,
+        combined: flag('combined'),
+    };
+    // serve 子命令：--host=127.0.0.1 --port=8080
+    const serveOptions = { host: pick(['host'], undefined), port: pick(['port'], undefined) };
+    if (format && command !== 'export' && format !== 'jsonl') {
+        console.error(`抓取时 --format 仅支持 jsonl；导出 json/csv 请使用: node xianzhi_crawler.js export --format=${format}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // 作者主页：--author=<用户 ID 或主页 URL>
+    const authorProfile = args['author'] !== undefined && args['author'] !== true ? args['author'] : undefined;
+
+    // 列表条目过滤：多值参数支持逗号分隔或重复传入
+    const filters = {
+        includeKeywords: pick(['includeKeyword', 'include-keyword', 'keyword'], undefined),
+        excludeKeywords: pick(['excludeKeyword', 'exclude-keyword'], undefined),
+        titleRegex: pick(['titleRegex', 'title-regex'], undefined),
+        excludeTitleRegex: pick(['excludeTitleRegex', 'exclude-title-regex'], undefined),
+        includeAuthors: pick(['includeAuthor', 'include-author'], undefined),
+        excludeAuthors: pick(['excludeAuthor', 'exclude-author'], undefined),
+        includeCategories: pick(['includeCategory', 'include-category'], undefined),
+        excludeCategories: pick(['excludeCategory', 'exclude-category'], undefined),
+    };
+    // 正则参数先行校验，避免在构造爬虫时才抛出异常
+    for (const [key, flagName] of [['titleRegex', '--title-regex'], ['excludeTitleRegex', '--exclude-title-regex']]) {
+        const pattern = filters[key];
+        if (!pattern || pattern === true) continue;
+        try {
+            new RegExp(String(pattern), 'i');
+        } catch (error) {
+            console.error(`无效的正则表达式 ${flagName}=${pattern}: ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+    }
 
     const crawler = new XianzhiCrawler({
         fetchFullContent: !imagesOnly,
@@ -1789,6 +4445,33 @@ async function main() {
         endDate,
         targetDate,
         concurrency,
+        incremental,
+        retries,
+        retryBaseDelay,
+        retryFailures,
+        urls,
+        urlFiles,
+        board,
+        categories,
+        summaryGroupBy,
+        filters,
+        authorProfile,
+        sortBy,
+        sortOrder,
+        metaStyle,
+        fileNameTemplate,
+        command,
+        dryRun,
+        outDir,
+        layout,
+        archiveHtml,
+        sqlite,
+        dbPath,
+        searchOptions,
+        format,
+        exportOptions,
+        serveOptions,
+        profile,
     });
     console.log('配置:', {
         imagesOnly,
@@ -1798,13 +4481,37 @@ async function main() {
         endDate,
         targetDate,
         concurrency,
+        incremental,
+        retries,
+        retryBaseDelay,
+        retryFailures,
+        urls,
+        urlFiles,
+        board,
+        categories,
+        summaryGroupBy,
+        filters,
+        authorProfile,
+        sortBy,
+        sortOrder,
+        profile: crawler.profile,
+        metaStyle: crawler.metaStyle,
+        fileNameTemplate,
+        outDir: crawler.outDir,
+        layout: crawler.layout,
+        archiveHtml,
+        sqlite: sqlite ? crawler.getDbPath() : false,
+        format,
     });
     await crawler.run();
 }
 
 // 如果直接运行此脚本
 if (require.main === module) {
-    main().catch(console.error);
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
 }
 
 module.exports = XianzhiCrawler;
\ No newline at end of file